@@ -2,6 +2,8 @@ import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } fr
 import './App.css'
 
 const LEVEL_SPACING = 220
+const LAYOUT_LEVEL_GAP = 72
+const LAYOUT_SIBLING_GAP = 24
 const MIN_NODE_WIDTH = 120
 const MIN_NODE_HEIGHT = 40
 const MAX_NODE_WIDTH = 420
@@ -18,6 +20,83 @@ const COLOR_PRESETS = Object.freeze([
   '#ede9fe',
 ])
 const DEFAULT_NODE_SIZE = Object.freeze({ width: MIN_NODE_WIDTH, height: MIN_NODE_HEIGHT })
+const MAX_HISTORY_LENGTH = 100
+const MAP_DATABASE_NAME = 'open-mind-map'
+const MAP_DATABASE_VERSION = 1
+const MAP_STORE_NAME = 'maps'
+const LAST_MAP_STORAGE_KEY = 'open-mind-map:last-map-id'
+const AUTOSAVE_DELAY = 600
+const UNTITLED_MAP_NAME = 'Carte sans titre'
+const NODE_TEXT_FONT = "600 16.8px Inter, system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif"
+const PNG_EXPORT_SCALES = Object.freeze([1, 2, 4])
+const MAX_CANVAS_DIMENSION = 16384
+const MAX_CANVAS_AREA = 16384 * 16384
+const PDF_TILE_OVERLAP = 10
+const PDF_PAPER_FORMATS = Object.freeze([
+  { value: 'a4', label: 'A4' },
+  { value: 'a3', label: 'A3' },
+  { value: 'a2', label: 'A2' },
+  { value: 'letter', label: 'Letter' },
+  { value: 'legal', label: 'Legal' },
+])
+const PDF_MIN_FONT_SIZES = Object.freeze([0, 8, 10, 12, 14])
+const LAYOUT_ENGINES = Object.freeze([
+  { value: 'radial', label: 'Radiale', orientation: 'auto' },
+  { value: 'balanced', label: 'Carte mentale équilibrée', orientation: 'horizontal' },
+  { value: 'right-tree', label: 'Arbre vers la droite', orientation: 'horizontal' },
+  { value: 'org-chart', label: 'Organigramme', orientation: 'vertical' },
+  { value: 'logic-chart', label: 'Diagramme logique', orientation: 'horizontal' },
+])
+const DEFAULT_LAYOUT_ENGINE = 'radial'
+const CONNECTOR_STYLES = Object.freeze([
+  { value: 'straight', label: 'Droites' },
+  { value: 'bezier', label: 'Courbes' },
+  { value: 'elbow', label: 'Coudées' },
+  { value: 'tapered', label: 'Organiques' },
+])
+const DEFAULT_CONNECTOR_STYLE = 'straight'
+const EDGE_LABEL_FONT_SIZE = 12
+const EDGE_LABEL_FONT = `600 ${EDGE_LABEL_FONT_SIZE}px Inter, system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif`
+const CLIPBOARD_MIME_TYPE = 'application/x-openmindmap+json'
+const TAG_COLOR_PRESETS = Object.freeze([
+  '#2563eb',
+  '#0891b2',
+  '#16a34a',
+  '#ca8a04',
+  '#ea580c',
+  '#dc2626',
+  '#db2777',
+  '#7c3aed',
+])
+const MAX_TAG_LENGTH = 40
+const PRIORITY_MARKER_COLORS = Object.freeze(['#dc2626', '#ea580c', '#ca8a04', '#2563eb', '#64748b'])
+const MARKER_ICONS = Object.freeze([
+  { value: 'flag', label: 'Drapeau', symbol: '⚑', color: '#dc2626' },
+  { value: 'star', label: 'Étoile', symbol: '★', color: '#f59e0b' },
+  { value: 'question', label: 'Question', symbol: '?', color: '#2563eb' },
+  { value: 'warning', label: 'Attention', symbol: '⚠', color: '#ea580c' },
+])
+const EMOJI_SUGGESTIONS = Object.freeze(['👍', '✅', '❤️', '💡', '🎯', '🚀', '⏳', '🔥'])
+const MARKER_SIZE = 20
+const MARKER_GAP = 4
+const MARKER_OVERVIEW_SCALE = 0.6
+const NODE_IMAGE_MAX_WIDTH = 240
+const NODE_IMAGE_MAX_HEIGHT = 160
+const NODE_IMAGE_MAX_SOURCE_SIZE = 1024
+const NODE_IMAGE_GAP = 8
+const TASK_PRIORITIES = Object.freeze([
+  { value: 1, label: 'Critique' },
+  { value: 2, label: 'Haute' },
+  { value: 3, label: 'Moyenne' },
+  { value: 4, label: 'Basse' },
+  { value: 5, label: 'Minime' },
+])
+const ARROW_DIRECTIONS = Object.freeze({
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+})
 
 function normalizeNodeColor(color) {
   if (typeof color !== 'string') {
@@ -68,6 +147,286 @@ function getNextIdFromNodes(nodes) {
   )
 }
 
+function getNextRelationId(relations) {
+  const next =
+    relations.reduce((acc, relation) => {
+      const match = relation.id.match(/relation-(\d+)/)
+      if (!match) return acc
+      return Math.max(acc, Number.parseInt(match[1], 10))
+    }, 0) + 1
+  return `relation-${next}`
+}
+
+function normalizeRelations(relations, nodes) {
+  if (!Array.isArray(relations)) return []
+  const nodeIds = new Set(nodes.map((node) => node.id))
+  const isPoint = (point) => Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.y)
+  return relations
+    .filter(
+      (relation) =>
+        relation &&
+        typeof relation.id === 'string' &&
+        nodeIds.has(relation.sourceId) &&
+        nodeIds.has(relation.targetId) &&
+        relation.sourceId !== relation.targetId,
+    )
+    .map((relation) => ({
+      id: relation.id,
+      sourceId: relation.sourceId,
+      targetId: relation.targetId,
+      label: typeof relation.label === 'string' ? relation.label : '',
+      controls:
+        Array.isArray(relation.controls) && relation.controls.length === 2 && relation.controls.every(isPoint)
+          ? relation.controls.map((point) => ({ x: point.x, y: point.y }))
+          : null,
+    }))
+}
+
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return ''
+  return tag
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .slice(0, MAX_TAG_LENGTH)
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return []
+  const seen = new Set()
+  return tags.map(normalizeTag).filter((tag) => {
+    const key = tag.toLocaleLowerCase()
+    if (tag.length === 0 || seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+function getNodeTags(node) {
+  return Array.isArray(node.tags) ? node.tags : []
+}
+
+function collectTags(nodes) {
+  const counts = new Map()
+  nodes.forEach((node) => {
+    getNodeTags(node).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) ?? 0) + 1)
+    })
+  })
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort((a, b) =>
+    a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' }),
+  )
+}
+
+function normalizeTagColors(tagColors, nodes) {
+  if (!tagColors || typeof tagColors !== 'object') return {}
+  const usedTags = new Set(collectTags(nodes).map((tag) => tag.name))
+  return Object.fromEntries(
+    Object.entries(tagColors)
+      .filter(([tag, color]) => usedTags.has(tag) && typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color))
+      .map(([tag, color]) => [tag, color.toLowerCase()]),
+  )
+}
+
+function getTagColor(tag, tagColors) {
+  if (tagColors[tag]) return tagColors[tag]
+  let hash = 0
+  for (const char of tag.toLocaleLowerCase()) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0
+  }
+  return TAG_COLOR_PRESETS[hash % TAG_COLOR_PRESETS.length]
+}
+
+function renameTagInNodes(nodes, fromTag, toTag) {
+  return nodes.map((node) => {
+    const tags = getNodeTags(node)
+    if (!tags.includes(fromTag)) return node
+    return { ...node, tags: normalizeTags(tags.map((tag) => (tag === fromTag ? toTag : tag))) }
+  })
+}
+
+function normalizeTask(task) {
+  if (!task || typeof task !== 'object') return null
+  return {
+    done: task.done === true,
+    dueDate: typeof task.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) ? task.dueDate : '',
+    assignee: typeof task.assignee === 'string' ? task.assignee.replace(/\s+/g, ' ').trim() : '',
+    priority: TASK_PRIORITIES.some((priority) => priority.value === task.priority) ? task.priority : 0,
+  }
+}
+
+function getFirstGrapheme(text) {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const [first] = new Intl.Segmenter('fr', { granularity: 'grapheme' }).segment(text)
+    return first?.segment ?? ''
+  }
+  return Array.from(text)[0] ?? ''
+}
+
+function normalizeMarkers(markers) {
+  if (!markers || typeof markers !== 'object') return null
+  const icons = Array.isArray(markers.icons)
+    ? MARKER_ICONS.map((icon) => icon.value).filter((value) => markers.icons.includes(value))
+    : []
+  const emoji = typeof markers.emoji === 'string' ? getFirstGrapheme(markers.emoji.trim()) : ''
+  if (icons.length === 0 && emoji.length === 0) return null
+  return { icons, emoji }
+}
+
+function getMarkerList(node) {
+  const list = []
+  const priority = getNodeTask(node)?.priority ?? 0
+  if (priority > 0) {
+    list.push({ key: 'priority', type: 'priority', value: priority })
+  }
+  const markers = node.markers && typeof node.markers === 'object' ? node.markers : null
+  if (!markers) return list
+  markers.icons.forEach((icon) => {
+    list.push({ key: icon, type: 'icon', value: icon })
+  })
+  if (markers.emoji) {
+    list.push({ key: 'emoji', type: 'emoji', value: markers.emoji })
+  }
+  return list
+}
+
+function normalizeNodeImage(image) {
+  if (!image || typeof image !== 'object') return null
+  const src = typeof image.src === 'string' ? image.src : ''
+  if (!/^data:image\/(?:png|jpeg);base64,[a-z0-9+/]+=*$/i.test(src)) return null
+  if (!Number.isFinite(image.width) || !Number.isFinite(image.height)) return null
+  if (image.width <= 0 || image.height <= 0) return null
+  return { src, width: image.width, height: image.height }
+}
+
+function getNodeImage(node) {
+  return node.image && typeof node.image === 'object' ? node.image : null
+}
+
+function getNodeImageDisplaySize(image) {
+  const ratio = Math.min(NODE_IMAGE_MAX_WIDTH / image.width, NODE_IMAGE_MAX_HEIGHT / image.height, 1)
+  return {
+    width: Math.max(Math.round(image.width * ratio), 1),
+    height: Math.max(Math.round(image.height * ratio), 1),
+  }
+}
+
+function getNodeImageFormat(image) {
+  return /^data:image\/jpeg/i.test(image.src) ? 'JPEG' : 'PNG'
+}
+
+function getImageFile(dataTransfer) {
+  if (!dataTransfer) return null
+  const file = Array.from(dataTransfer.files ?? []).find((item) => item.type.startsWith('image/'))
+  if (file) return file
+  const item = Array.from(dataTransfer.items ?? []).find(
+    (entry) => entry.kind === 'file' && entry.type.startsWith('image/'),
+  )
+  return item?.getAsFile() ?? null
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(typeof reader.result === 'string' ? reader.result : '')
+    reader.onerror = () => reject(reader.error ?? new Error('Failed to read file'))
+    reader.readAsDataURL(file)
+  })
+}
+
+async function readImageFile(file) {
+  const url = URL.createObjectURL(file)
+  try {
+    const image = new Image()
+    await new Promise((resolve, reject) => {
+      image.onload = resolve
+      image.onerror = () => reject(new Error('Failed to decode image'))
+      image.src = url
+    })
+    const { naturalWidth, naturalHeight } = image
+    if (!naturalWidth || !naturalHeight) {
+      throw new Error('Empty image')
+    }
+    const ratio = Math.min(
+      NODE_IMAGE_MAX_SOURCE_SIZE / naturalWidth,
+      NODE_IMAGE_MAX_SOURCE_SIZE / naturalHeight,
+      1,
+    )
+    if (ratio === 1 && (file.type === 'image/png' || file.type === 'image/jpeg')) {
+      const src = await readFileAsDataUrl(file)
+      return normalizeNodeImage({ src, width: naturalWidth, height: naturalHeight })
+    }
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(Math.round(naturalWidth * ratio), 1)
+    canvas.height = Math.max(Math.round(naturalHeight * ratio), 1)
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+      throw new Error('Canvas unavailable')
+    }
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png'
+    return normalizeNodeImage({ src: canvas.toDataURL(type, 0.9), width: canvas.width, height: canvas.height })
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+function getNodeTask(node) {
+  return node.task && typeof node.task === 'object' ? node.task : null
+}
+
+function getLocalDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function isTaskOverdue(task, todayKey) {
+  return Boolean(task) && !task.done && task.dueDate.length > 0 && task.dueDate < todayKey
+}
+
+function getTaskMetaItems(task) {
+  if (!task) return []
+  const items = []
+  if (task.dueDate) {
+    const date = new Date(`${task.dueDate}T00:00:00`)
+    const options =
+      date.getFullYear() === new Date().getFullYear()
+        ? { day: 'numeric', month: 'short' }
+        : { day: 'numeric', month: 'short', year: 'numeric' }
+    items.push({ key: 'due', text: date.toLocaleDateString('fr-FR', options) })
+  }
+  if (task.assignee) {
+    items.push({ key: 'assignee', text: `@${task.assignee}` })
+  }
+  return items
+}
+
+function computeTaskProgress(nodes) {
+  const childrenMap = buildChildrenMap(nodes)
+  const progress = new Map()
+  const visit = (node) => {
+    let done = 0
+    let total = 0
+    ;(childrenMap.get(node.id) ?? []).forEach((child) => {
+      const childTask = getNodeTask(child)
+      if (childTask) {
+        total += 1
+        done += childTask.done ? 1 : 0
+      }
+      const childProgress = visit(child)
+      done += childProgress.done
+      total += childProgress.total
+    })
+    if (total > 0) {
+      progress.set(node.id, { done, total })
+    }
+    return { done, total }
+  }
+  nodes.filter((node) => node.parentId === null).forEach(visit)
+  return progress
+}
+
 function getDefaultFilename(label, extension = 'json') {
   const fallback = 'mindmap'
   if (!label || typeof label !== 'string') {
@@ -88,56 +447,400 @@ function getDefaultFilename(label, extension = 'json') {
   return `${safeName}.${extension}`
 }
 
-function computeLayout(nodes) {
-  const rootNode = nodes.find((node) => node.parentId === null)
-  if (!rootNode) return {}
+function normalizeMapNode(node) {
+  const label = typeof node.label === 'string' ? node.label : ''
+  const externalLink = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+  const color = normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR)
+  const tags = normalizeTags(node.tags)
+  const notes = getNodeNotes(node)
+  const task = normalizeTask(node.task)
+  const markers = normalizeMarkers(node.markers)
+  const image = normalizeNodeImage(node.image)
+  return {
+    ...node,
+    label,
+    externalLink,
+    color,
+    tags,
+    notes,
+    task,
+    markers,
+    image,
+  }
+}
 
-  const childrenMap = new Map()
-  nodes.forEach((node) => {
-    if (node.parentId === null) return
-    if (!childrenMap.has(node.parentId)) {
-      childrenMap.set(node.parentId, [])
+function normalizeMapPayload(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+    throw new Error('Invalid data')
+  }
+
+  const nodes = data.nodes.map(normalizeMapNode)
+  const customPositions =
+    data.customPositions && typeof data.customPositions === 'object' ? data.customPositions : {}
+  const viewTransform =
+    data.viewTransform && typeof data.viewTransform === 'object'
+      ? {
+          x: Number.isFinite(data.viewTransform.x) ? data.viewTransform.x : 0,
+          y: Number.isFinite(data.viewTransform.y) ? data.viewTransform.y : 0,
+          scale: Number.isFinite(data.viewTransform.scale) ? data.viewTransform.scale : 1,
+        }
+      : { x: 0, y: 0, scale: 1 }
+  const layout = LAYOUT_ENGINES.some((engine) => engine.value === data.layout) ? data.layout : DEFAULT_LAYOUT_ENGINE
+  const connectorStyle = CONNECTOR_STYLES.some((style) => style.value === data.connectorStyle)
+    ? data.connectorStyle
+    : DEFAULT_CONNECTOR_STYLE
+
+  const relations = normalizeRelations(data.relations, nodes)
+  const tagColors = normalizeTagColors(data.tagColors, nodes)
+
+  return { nodes, customPositions, viewTransform, layout, connectorStyle, relations, tagColors }
+}
+
+function parseMapFile(filename, text) {
+  const extension = getFileExtension(filename)
+  if (extension === 'md' || extension === 'markdown') {
+    return normalizeMapPayload({ nodes: parseMarkdownOutline(text, getFileBasename(filename)) })
+  }
+  if (extension === 'opml') {
+    return normalizeMapPayload({ nodes: parseOpmlDocument(text, getFileBasename(filename)) })
+  }
+  if (extension === 'mm') {
+    return normalizeMapPayload({ nodes: parseFreeMindDocument(text, getFileBasename(filename)) })
+  }
+  return normalizeMapPayload(JSON.parse(text))
+}
+
+function createInitialMapPayload() {
+  return {
+    nodes: INITIAL_NODES.map((node) => ({ ...node })),
+    customPositions: {},
+    viewTransform: { x: 0, y: 0, scale: 1 },
+    layout: DEFAULT_LAYOUT_ENGINE,
+    connectorStyle: DEFAULT_CONNECTOR_STYLE,
+    relations: [],
+    tagColors: {},
+  }
+}
+
+function getMapNameFromNodes(nodes) {
+  const root = nodes.find((node) => node.parentId === null)
+  const label = typeof root?.label === 'string' ? root.label.trim() : ''
+  return label.length > 0 ? label : UNTITLED_MAP_NAME
+}
+
+function createMapId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return `map-${crypto.randomUUID()}`
+  }
+  return `map-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+function formatMapDate(timestamp) {
+  if (!Number.isFinite(timestamp)) return ''
+  return new Date(timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+function readLastMapId() {
+  try {
+    return window.localStorage.getItem(LAST_MAP_STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+function writeLastMapId(mapId) {
+  try {
+    window.localStorage.setItem(LAST_MAP_STORAGE_KEY, mapId)
+  } catch {
+    // ignore storage errors
+  }
+}
+
+let mapDatabasePromise = null
+
+function getMapDatabase() {
+  if (!mapDatabasePromise) {
+    mapDatabasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB unavailable'))
+        return
+      }
+      const request = indexedDB.open(MAP_DATABASE_NAME, MAP_DATABASE_VERSION)
+      request.onupgradeneeded = () => {
+        const database = request.result
+        if (!database.objectStoreNames.contains(MAP_STORE_NAME)) {
+          database.createObjectStore(MAP_STORE_NAME, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      mapDatabasePromise = null
+      throw error
+    })
+  }
+  return mapDatabasePromise
+}
+
+async function runMapStoreRequest(mode, createRequest) {
+  const database = await getMapDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(MAP_STORE_NAME, mode)
+    const request = createRequest(transaction.objectStore(MAP_STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+async function listStoredMaps() {
+  const records = await runMapStoreRequest('readonly', (store) => store.getAll())
+  return records.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0))
+}
+
+function getStoredMap(mapId) {
+  return runMapStoreRequest('readonly', (store) => store.get(mapId))
+}
+
+function putStoredMap(record) {
+  return runMapStoreRequest('readwrite', (store) => store.put(record))
+}
+
+async function updateStoredMap(mapId, update) {
+  const database = await getMapDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(MAP_STORE_NAME, 'readwrite')
+    const store = transaction.objectStore(MAP_STORE_NAME)
+    const request = store.get(mapId)
+    let record = null
+    request.onsuccess = () => {
+      record = update(request.result ?? null)
+      if (record) {
+        store.put(record)
+      }
     }
-    childrenMap.get(node.parentId)?.push(node)
+    transaction.oncomplete = () => resolve(record)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
   })
+}
 
-  const positions = {
-    [rootNode.id]: {
-      x: 0,
-      y: 0,
-      depth: 0,
-      angleStart: 0,
-      angleEnd: Math.PI * 2,
-    },
+function deleteStoredMap(mapId) {
+  return runMapStoreRequest('readwrite', (store) => store.delete(mapId))
+}
+
+function toStoredMapSummary(record) {
+  return {
+    id: record.id,
+    name: typeof record.name === 'string' && record.name.trim().length > 0 ? record.name : UNTITLED_MAP_NAME,
+    updatedAt: record.updatedAt,
+    nodeCount: Array.isArray(record.payload?.nodes) ? record.payload.nodes.length : 0,
   }
+}
 
-  const traverse = (nodeId, startAngle, endAngle, depth) => {
-    const children = childrenMap.get(nodeId) ?? []
-    const total = children.length
-    if (total === 0) return
+function computeRadialLayout(rootNode, childrenMap, getSize) {
+  const leafCounts = new Map()
+  const countLeaves = (node) => {
+    const children = childrenMap.get(node.id) ?? []
+    const count = children.length === 0 ? 1 : children.reduce((sum, child) => sum + countLeaves(child), 0)
+    leafCounts.set(node.id, count)
+    return count
+  }
+  countLeaves(rootNode)
+
+  const sectors = { [rootNode.id]: { depth: 0, angleStart: 0, angleEnd: Math.PI * 2 } }
+  const levels = []
+  const assignSectors = (node, startAngle, endAngle, depth) => {
+    const children = childrenMap.get(node.id) ?? []
+    const total = leafCounts.get(node.id)
+    let cursor = startAngle
+    children.forEach((child) => {
+      const span = ((endAngle - startAngle) * leafCounts.get(child.id)) / total
+      sectors[child.id] = { depth, angleStart: cursor, angleEnd: cursor + span }
+      if (!levels[depth]) {
+        levels[depth] = []
+      }
+      levels[depth].push(child.id)
+      assignSectors(child, cursor, cursor + span, depth + 1)
+      cursor += span
+    })
+  }
+  assignSectors(rootNode, 0, Math.PI * 2, 1)
+
+  const maxWidthByDepth = [getSize(rootNode.id).width]
+  levels.forEach((ids, depth) => {
+    maxWidthByDepth[depth] = Math.max(...ids.map((id) => getSize(id).width))
+  })
+
+  const getPoint = (id, radius) => {
+    const { angleStart, angleEnd } = sectors[id]
+    const angle = (angleStart + angleEnd) / 2
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius }
+  }
+  const hasOverlap = (ids, radius) => {
+    const pairCount = ids.length > 2 ? ids.length : ids.length - 1
+    for (let index = 0; index < pairCount; index += 1) {
+      const firstId = ids[index]
+      const secondId = ids[(index + 1) % ids.length]
+      const first = getPoint(firstId, radius)
+      const second = getPoint(secondId, radius)
+      const firstSize = getSize(firstId)
+      const secondSize = getSize(secondId)
+      if (
+        Math.abs(first.x - second.x) < (firstSize.width + secondSize.width) / 2 + LAYOUT_SIBLING_GAP / 2 &&
+        Math.abs(first.y - second.y) < (firstSize.height + secondSize.height) / 2 + LAYOUT_SIBLING_GAP / 2
+      ) {
+        return true
+      }
+    }
+    return false
+  }
+
+  const radii = [0]
+  for (let depth = 1; depth < levels.length; depth += 1) {
+    const minimumStep = (maxWidthByDepth[depth - 1] + maxWidthByDepth[depth]) / 2 + LAYOUT_SIBLING_GAP
+    let radius = radii[depth - 1] + Math.max(LEVEL_SPACING, minimumStep)
+    for (let attempt = 0; attempt < 200 && hasOverlap(levels[depth], radius); attempt += 1) {
+      radius *= 1.05
+    }
+    radii[depth] = radius
+  }
+
+  const positions = {}
+  Object.entries(sectors).forEach(([id, sector]) => {
+    positions[id] = { ...getPoint(id, radii[sector.depth]), ...sector }
+  })
+  return positions
+}
 
-    children.forEach((child, index) => {
-      const childStart = startAngle + ((endAngle - startAngle) * index) / total
-      const childEnd = startAngle + ((endAngle - startAngle) * (index + 1)) / total
-      const angle = (childStart + childEnd) / 2
-      const radius = depth * LEVEL_SPACING
+function computeHorizontalTreeLayout(rootNode, childrenMap, getSize, { balanced = false, logic = false } = {}) {
+  const subtreeHeights = new Map()
+  const maxWidthByDepth = []
+  const measure = (node, depth) => {
+    const size = getSize(node.id)
+    maxWidthByDepth[depth] = Math.max(maxWidthByDepth[depth] ?? 0, size.width)
+    const children = childrenMap.get(node.id) ?? []
+    const childrenHeight =
+      children.reduce((sum, child) => sum + measure(child, depth + 1), 0) +
+      LAYOUT_SIBLING_GAP * Math.max(children.length - 1, 0)
+    const height = Math.max(size.height, childrenHeight)
+    subtreeHeights.set(node.id, height)
+    return height
+  }
+  measure(rootNode, 0)
+
+  const columnStarts = [0, maxWidthByDepth[0] / 2 + LAYOUT_LEVEL_GAP]
+  for (let depth = 2; depth < maxWidthByDepth.length; depth += 1) {
+    columnStarts[depth] = columnStarts[depth - 1] + maxWidthByDepth[depth - 1] + LAYOUT_LEVEL_GAP
+  }
 
+  const positions = { [rootNode.id]: { x: 0, y: 0, depth: 0 } }
+  const placeChildren = (node, children, direction, depth) => {
+    const parent = positions[node.id]
+    const parentSize = getSize(node.id)
+    const blockHeight =
+      children.reduce((sum, child) => sum + subtreeHeights.get(child.id), 0) +
+      LAYOUT_SIBLING_GAP * Math.max(children.length - 1, 0)
+    let cursor = logic ? parent.y - parentSize.height / 2 : parent.y - blockHeight / 2
+    children.forEach((child) => {
+      const size = getSize(child.id)
+      const height = subtreeHeights.get(child.id)
       positions[child.id] = {
-        x: Math.cos(angle) * radius,
-        y: Math.sin(angle) * radius,
+        x: logic
+          ? direction * (columnStarts[depth] + size.width / 2)
+          : parent.x + direction * (parentSize.width / 2 + LAYOUT_LEVEL_GAP + size.width / 2),
+        y: logic ? cursor + size.height / 2 : cursor + height / 2,
         depth,
-        angleStart: childStart,
-        angleEnd: childEnd,
       }
-
-      traverse(child.id, childStart, childEnd, depth + 1)
+      placeChildren(child, childrenMap.get(child.id) ?? [], direction, depth + 1)
+      cursor += height + LAYOUT_SIBLING_GAP
     })
   }
 
-  traverse(rootNode.id, 0, Math.PI * 2, 1)
+  const rootChildren = childrenMap.get(rootNode.id) ?? []
+  if (!balanced) {
+    placeChildren(rootNode, rootChildren, 1, 1)
+    return positions
+  }
+
+  const totalHeight = rootChildren.reduce((sum, child) => sum + subtreeHeights.get(child.id), 0)
+  let rightCount = 0
+  let rightHeight = 0
+  while (
+    rightCount < rootChildren.length &&
+    (rightCount === 0 || rightHeight + subtreeHeights.get(rootChildren[rightCount].id) / 2 <= totalHeight / 2)
+  ) {
+    rightHeight += subtreeHeights.get(rootChildren[rightCount].id)
+    rightCount += 1
+  }
+  const rightChildren = rootChildren.slice(0, rightCount)
+  const leftChildren = rootChildren.slice(rightCount).reverse()
+  placeChildren(rootNode, rightChildren, 1, 1)
+  placeChildren(rootNode, leftChildren, -1, 1)
+  return positions
+}
+
+function computeOrgChartLayout(rootNode, childrenMap, getSize) {
+  const subtreeWidths = new Map()
+  const maxHeightByDepth = []
+  const measure = (node, depth) => {
+    const size = getSize(node.id)
+    maxHeightByDepth[depth] = Math.max(maxHeightByDepth[depth] ?? 0, size.height)
+    const children = childrenMap.get(node.id) ?? []
+    const childrenWidth =
+      children.reduce((sum, child) => sum + measure(child, depth + 1), 0) +
+      LAYOUT_SIBLING_GAP * Math.max(children.length - 1, 0)
+    const width = Math.max(size.width, childrenWidth)
+    subtreeWidths.set(node.id, width)
+    return width
+  }
+  measure(rootNode, 0)
+
+  const rowCenters = [0]
+  for (let depth = 1; depth < maxHeightByDepth.length; depth += 1) {
+    rowCenters[depth] =
+      rowCenters[depth - 1] + maxHeightByDepth[depth - 1] / 2 + LAYOUT_LEVEL_GAP + maxHeightByDepth[depth] / 2
+  }
+
+  const positions = { [rootNode.id]: { x: 0, y: 0, depth: 0 } }
+  const placeChildren = (node, depth) => {
+    const children = childrenMap.get(node.id) ?? []
+    const blockWidth =
+      children.reduce((sum, child) => sum + subtreeWidths.get(child.id), 0) +
+      LAYOUT_SIBLING_GAP * Math.max(children.length - 1, 0)
+    let cursor = positions[node.id].x - blockWidth / 2
+    children.forEach((child) => {
+      const width = subtreeWidths.get(child.id)
+      positions[child.id] = { x: cursor + width / 2, y: rowCenters[depth], depth }
+      placeChildren(child, depth + 1)
+      cursor += width + LAYOUT_SIBLING_GAP
+    })
+  }
+  placeChildren(rootNode, 1)
   return positions
 }
 
+function computeLayout(nodes, { engine = DEFAULT_LAYOUT_ENGINE, nodeSizes = {} } = {}) {
+  const rootNode = nodes.find((node) => node.parentId === null)
+  if (!rootNode) return {}
+
+  const childrenMap = buildChildrenMap(nodes)
+  const getSize = (nodeId) => nodeSizes[nodeId] ?? DEFAULT_NODE_SIZE
+
+  switch (engine) {
+    case 'balanced':
+      return computeHorizontalTreeLayout(rootNode, childrenMap, getSize, { balanced: true })
+    case 'right-tree':
+      return computeHorizontalTreeLayout(rootNode, childrenMap, getSize)
+    case 'logic-chart':
+      return computeHorizontalTreeLayout(rootNode, childrenMap, getSize, { logic: true })
+    case 'org-chart':
+      return computeOrgChartLayout(rootNode, childrenMap, getSize)
+    default:
+      return computeRadialLayout(rootNode, childrenMap, getSize)
+  }
+}
+
 function getBranchToDelete(nodes, selectedId) {
   const toDelete = new Set([selectedId])
   const stack = [selectedId]
@@ -157,72 +860,1839 @@ function getBranchToDelete(nodes, selectedId) {
   return toDelete
 }
 
-function IconPlus() {
-  return (
-    <svg viewBox="0 0 20 20" aria-hidden="true">
-      <path d="M10 4v12M4 10h12" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" />
-    </svg>
-  )
+function isEditableTarget(target) {
+  if (!(target instanceof Element)) return false
+  if (target.isContentEditable) return true
+  return Boolean(target.closest('input, textarea, select'))
 }
 
-function IconTrash() {
-  return (
-    <svg viewBox="0 0 20 20" aria-hidden="true">
-      <path
-        d="M4.5 6.5h11M8.5 3.5h3m-4 3v9m5-9v9m-8 0h11a1 1 0 0 1-1 1h-9a1 1 0 0 1-1-1z"
-        stroke="currentColor"
-        strokeWidth="1.4"
-        strokeLinecap="round"
-        strokeLinejoin="round"
-      />
-    </svg>
-  )
+function buildChildrenMap(nodes) {
+  const childrenMap = new Map()
+  nodes.forEach((node) => {
+    if (node.parentId === null) return
+    if (!childrenMap.has(node.parentId)) {
+      childrenMap.set(node.parentId, [])
+    }
+    childrenMap.get(node.parentId)?.push(node)
+  })
+  return childrenMap
 }
 
-function IconEdit() {
-  return (
-    <svg viewBox="0 0 20 20" aria-hidden="true">
-      <path
-        d="M4 13.5 5.5 16l2.5-.5L15 8.5 12.5 6 4 13.5zm9.5-9 2.5 2.5m-7.32 7.57h7.82"
-        stroke="currentColor"
-        strokeWidth="1.4"
-        strokeLinecap="round"
-        strokeLinejoin="round"
-        fill="none"
-      />
-    </svg>
-  )
+function getNodeDepths(nodes) {
+  const childrenMap = buildChildrenMap(nodes)
+  const depths = new Map()
+  const stack = nodes.filter((node) => node.parentId === null).map((node) => [node.id, 0])
+  while (stack.length > 0) {
+    const [id, depth] = stack.pop()
+    depths.set(id, depth)
+    ;(childrenMap.get(id) ?? []).forEach((child) => stack.push([child.id, depth + 1]))
+  }
+  return depths
 }
 
-function App() {
-  const [nodes, setNodes] = useState(INITIAL_NODES)
-  const [selectedId, setSelectedId] = useState('root')
-  const [draftLabel, setDraftLabel] = useState(INITIAL_NODES[0].label)
-  const [customPositions, setCustomPositions] = useState({})
-  const [draggingNodeId, setDraggingNodeId] = useState(null)
-  const [nodeSizes, setNodeSizes] = useState({})
-  const idCounter = useRef(nextIdFromInitial)
-  const svgRef = useRef(null)
-  const panStateRef = useRef({
-    isPanning: false,
-    pointerId: null,
-    last: { x: 0, y: 0 },
-    moved: false,
-  })
-
-  const [viewTransform, setViewTransform] = useState({
-    x: 0,
-    y: 0,
-    scale: 1,
+function getCollapsedLayout(nodes, revealedIds = new Set()) {
+  const childrenMap = buildChildrenMap(nodes)
+  const hiddenIds = new Set()
+  const hiddenCounts = {}
+  nodes.forEach((node) => {
+    if (node.collapsed !== true) return
+    const stack = [...(childrenMap.get(node.id) ?? [])]
+    let count = 0
+    while (stack.length > 0) {
+      const current = stack.pop()
+      if (!revealedIds.has(current.id)) {
+        hiddenIds.add(current.id)
+        count += 1
+      }
+      stack.push(...(childrenMap.get(current.id) ?? []))
+    }
+    if (count > 0) {
+      hiddenCounts[node.id] = count
+    }
   })
+  return { hiddenIds, hiddenCounts }
+}
 
-  const [isPanning, setIsPanning] = useState(false)
+function expandNodes(nodes, nodeIds) {
+  const ids = new Set(nodeIds)
+  return nodes.map((node) => (ids.has(node.id) && node.collapsed ? { ...node, collapsed: false } : node))
+}
+
+function getNodePathIds(nodes, nodeId) {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]))
+  const pathIds = new Set()
+  let current = nodesById.get(nodeId)
+  while (current && !pathIds.has(current.id)) {
+    pathIds.add(current.id)
+    current = nodesById.get(current.parentId)
+  }
+  return pathIds
+}
+
+function normalizeSearchText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+function findMatchingNodeIds(nodes, query) {
+  const needle = normalizeSearchText(query.trim())
+  if (needle.length === 0) return []
+  const childrenMap = buildChildrenMap(nodes)
+  const matches = []
+  const visit = (node) => {
+    const link = typeof node.externalLink === 'string' ? node.externalLink : ''
+    if (normalizeSearchText(node.label).includes(needle) || normalizeSearchText(link).includes(needle)) {
+      matches.push(node.id)
+    }
+    ;(childrenMap.get(node.id) ?? []).forEach(visit)
+  }
+  nodes.filter((node) => node.parentId === null).forEach(visit)
+  return matches
+}
+
+function createReplacePattern(find, { matchCase, wholeWord, useRegex }) {
+  if (find.length === 0) return null
+  const source = useRegex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const bounded = wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source
+  return new RegExp(bounded, matchCase ? 'gu' : 'giu')
+}
+
+function getReplacementChanges(nodes, pattern, replacement, { useRegex }) {
+  const safeReplacement = useRegex ? replacement : replacement.replace(/\$/g, '$$$$')
+  return nodes
+    .map((node) => {
+      const externalLink = typeof node.externalLink === 'string' ? node.externalLink : ''
+      const nextLabel = node.label.replace(pattern, safeReplacement)
+      const nextLink = externalLink.replace(pattern, safeReplacement).trim()
+      if (nextLabel === node.label && nextLink === externalLink) return null
+      return { id: node.id, label: node.label, nextLabel, externalLink, nextLink }
+    })
+    .filter(Boolean)
+}
+
+function getFileExtension(filename) {
+  if (typeof filename !== 'string') return ''
+  const match = filename.toLowerCase().match(/\.([a-z0-9]+)$/)
+  return match ? match[1] : ''
+}
+
+function getFileBasename(filename) {
+  if (typeof filename !== 'string') return ''
+  return filename.replace(/\.[^./\\]+$/, '').trim()
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+function createNodesFromOutline(items, fallbackTitle) {
+  const topLevel = items.filter((item) => item.parentIndex === null)
+  const nodes = []
+  let counter = 1
+  const idByIndex = new Map()
+
+  const rootId = 'root'
+  if (topLevel.length === 1) {
+    idByIndex.set(items.indexOf(topLevel[0]), rootId)
+  } else {
+    const title =
+      typeof fallbackTitle === 'string' && fallbackTitle.trim().length > 0
+        ? fallbackTitle.trim()
+        : UNTITLED_MAP_NAME
+    nodes.push({ id: rootId, label: title, parentId: null, externalLink: '', color: DEFAULT_NODE_COLOR })
+  }
+
+  items.forEach((item, index) => {
+    const isRoot = idByIndex.get(index) === rootId
+    const id = isRoot ? rootId : `node-${counter++}`
+    idByIndex.set(index, id)
+    const parentId = isRoot ? null : item.parentIndex === null ? rootId : idByIndex.get(item.parentIndex)
+    nodes.push({
+      id,
+      label: item.label,
+      parentId,
+      externalLink: item.externalLink ?? '',
+      color: normalizeNodeColor(item.color ?? DEFAULT_NODE_COLOR),
+      notes: item.notes ?? '',
+    })
+  })
+
+  return nodes
+}
+
+function escapeMarkdownLinkText(text) {
+  return text.replace(/([\\[\]])/g, '\\$1')
+}
+
+function formatMarkdownItem(node) {
+  const label = typeof node.label === 'string' ? node.label.trim() : ''
+  const link = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+  if (link.length > 0) {
+    const text = (label.length > 0 ? label : link).replace(/\s*\n\s*/g, ' ')
+    return `[${escapeMarkdownLinkText(text)}](<${link}>)`
+  }
+  return label
+}
+
+function buildMarkdownOutline(nodes) {
+  const rootNode = nodes.find((node) => node.parentId === null)
+  if (!rootNode) return ''
+
+  const childrenMap = buildChildrenMap(nodes)
+  const lines = [`# ${formatMarkdownItem(rootNode).replace(/\s*\n\s*/g, ' ')}`, '']
+  const pushNotes = (node, indent) => {
+    const notes = getNodeNotes(node).trim()
+    if (notes.length === 0) return
+    notes.split('\n').forEach((line) => {
+      lines.push(`${indent}>${line.length > 0 ? ` ${line}` : ''}`)
+    })
+  }
+
+  if (getNodeNotes(rootNode).trim().length > 0) {
+    pushNotes(rootNode, '')
+    lines.push('')
+  }
+
+  const visit = (nodeId, depth) => {
+    const children = childrenMap.get(nodeId) ?? []
+    children.forEach((child) => {
+      const indent = '  '.repeat(depth)
+      const [firstLine, ...otherLines] = formatMarkdownItem(child).split('\n')
+      lines.push(`${indent}- ${firstLine}`)
+      otherLines.forEach((line) => {
+        lines.push(`${indent}  ${line}`)
+      })
+      pushNotes(child, `${indent}  `)
+      visit(child.id, depth + 1)
+    })
+  }
+
+  visit(rootNode.id, 0)
+  return `${lines.join('\n').trimEnd()}\n`
+}
+
+function parseMarkdownInline(text) {
+  const trimmed = text.trim()
+  const linkMatch = trimmed.match(/^\[((?:\\.|[^\\\]])*)\]\(\s*(?:<([^>]*)>|([^)\s]+))(?:\s+"[^"]*")?\s*\)$/)
+  if (linkMatch) {
+    return {
+      label: linkMatch[1].replace(/\\([\\[\]])/g, '$1'),
+      externalLink: (linkMatch[2] ?? linkMatch[3]).trim(),
+    }
+  }
+  const autolinkMatch = trimmed.match(/^<(https?:\/\/[^>\s]+)>$/i)
+  if (autolinkMatch) {
+    return { label: autolinkMatch[1], externalLink: autolinkMatch[1] }
+  }
+  return { label: trimmed, externalLink: '' }
+}
+
+function parseMarkdownOutline(text, fallbackTitle) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const items = []
+  const stack = []
+  let headingDepth = 0
+  let listIndents = []
+  let lastItem = null
+  let lastItemIndent = 0
+  let previousLineBlank = false
+  let inCodeFence = false
+
+  const pushItem = (depth, content, indent) => {
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) {
+      stack.pop()
+    }
+    const parentIndex = stack.length > 0 ? stack[stack.length - 1].index : null
+    const { label, externalLink } = parseMarkdownInline(content)
+    const item = { label, externalLink, parentIndex }
+    items.push(item)
+    stack.push({ depth, index: items.length - 1 })
+    lastItem = item
+    lastItemIndent = indent
+  }
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.replace(/\t/g, '    ')
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeFence = !inCodeFence
+      return
+    }
+    if (inCodeFence) return
+
+    if (line.trim().length === 0) {
+      previousLineBlank = true
+      return
+    }
+
+    const quoteMatch = line.match(/^\s*>\s?(.*)$/)
+    if (quoteMatch && lastItem !== null) {
+      const separator = previousLineBlank ? '\n\n' : '\n'
+      lastItem.notes = lastItem.notes ? `${lastItem.notes}${separator}${quoteMatch[1]}` : quoteMatch[1]
+      previousLineBlank = false
+      return
+    }
+
+    const headingMatch = line.match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/)
+    if (headingMatch) {
+      headingDepth = headingMatch[1].length
+      listIndents = []
+      pushItem(headingDepth, headingMatch[2], 0)
+      previousLineBlank = false
+      return
+    }
+
+    const bulletMatch = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/)
+    if (bulletMatch) {
+      const indent = bulletMatch[1].length
+      while (listIndents.length > 0 && listIndents[listIndents.length - 1] > indent) {
+        listIndents.pop()
+      }
+      if (listIndents.length === 0 || listIndents[listIndents.length - 1] < indent) {
+        listIndents.push(indent)
+      }
+      pushItem(headingDepth + listIndents.length, bulletMatch[2], indent)
+      previousLineBlank = false
+      return
+    }
+
+    const leadingSpaces = line.match(/^\s*/)[0].length
+    const isContinuation =
+      lastItem !== null && (!previousLineBlank || leadingSpaces > lastItemIndent)
+    if (isContinuation && listIndents.length > 0) {
+      const continuation = parseMarkdownInline(line)
+      lastItem.label = lastItem.label.length > 0 ? `${lastItem.label}\n${continuation.label}` : continuation.label
+    }
+    previousLineBlank = false
+  })
+
+  if (items.length === 0) {
+    throw new Error('Empty outline')
+  }
+
+  return createNodesFromOutline(items, fallbackTitle)
+}
+
+function parseMarkdownBlocks(text) {
+  const blocks = []
+  let paragraph = null
+  let list = null
+  let code = null
+
+  text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/\t/g, '    ')
+      if (code) {
+        if (/^\s*(```|~~~)/.test(line)) {
+          code = null
+        } else {
+          code.lines.push(line)
+        }
+        return
+      }
+      if (/^\s*(```|~~~)/.test(line)) {
+        paragraph = null
+        list = null
+        code = { type: 'code', lines: [] }
+        blocks.push(code)
+        return
+      }
+      if (line.trim().length === 0) {
+        paragraph = null
+        list = null
+        return
+      }
+
+      const headingMatch = line.match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/)
+      if (headingMatch) {
+        paragraph = null
+        list = null
+        blocks.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2] })
+        return
+      }
+      if (/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+        paragraph = null
+        list = null
+        blocks.push({ type: 'rule' })
+        return
+      }
+
+      const quoteMatch = line.match(/^ {0,3}>\s?(.*)$/)
+      if (quoteMatch) {
+        list = null
+        if (paragraph?.type !== 'quote') {
+          paragraph = { type: 'quote', lines: [] }
+          blocks.push(paragraph)
+        }
+        paragraph.lines.push(quoteMatch[1])
+        return
+      }
+
+      const itemMatch = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/)
+      if (itemMatch) {
+        paragraph = null
+        const ordered = /\d/.test(itemMatch[2])
+        if (!list || list.ordered !== ordered) {
+          list = { type: 'list', ordered, items: [] }
+          blocks.push(list)
+        }
+        list.items.push({ depth: Math.floor(itemMatch[1].length / 2), text: itemMatch[3] })
+        return
+      }
+      if (list && /^\s/.test(line)) {
+        list.items[list.items.length - 1].text += ` ${line.trim()}`
+        return
+      }
+
+      list = null
+      if (paragraph?.type !== 'paragraph') {
+        paragraph = { type: 'paragraph', lines: [] }
+        blocks.push(paragraph)
+      }
+      paragraph.lines.push(line.trim())
+    })
+
+  return blocks
+}
+
+function isSafeMarkdownUrl(url) {
+  return /^(https?:|mailto:)/i.test(url)
+}
+
+function parseMarkdownSpans(text) {
+  const pattern =
+    /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)|(https?:\/\/[^\s<>()]+)/g
+  const spans = []
+  let lastIndex = 0
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      spans.push({ type: 'text', text: text.slice(lastIndex, match.index) })
+    }
+    if (match[1] !== undefined) {
+      spans.push({ type: 'code', text: match[1] })
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      spans.push({ type: 'strong', text: match[2] ?? match[3] })
+    } else if (match[4] !== undefined || match[5] !== undefined) {
+      spans.push({ type: 'em', text: match[4] ?? match[5] })
+    } else if (match[6] !== undefined) {
+      spans.push(
+        isSafeMarkdownUrl(match[7]) ? { type: 'link', text: match[6], url: match[7] } : { type: 'text', text: match[6] },
+      )
+    } else {
+      spans.push({ type: 'link', text: match[8], url: match[8] })
+    }
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < text.length) {
+    spans.push({ type: 'text', text: text.slice(lastIndex) })
+  }
+  return spans
+}
+
+function getMarkdownPlainText(text) {
+  return parseMarkdownSpans(text)
+    .map((span) => (span.type === 'link' && span.text !== span.url ? `${span.text} (${span.url})` : span.text))
+    .join('')
+}
+
+function getNodeNotes(node) {
+  return typeof node.notes === 'string' ? node.notes : ''
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\r?\n/g, '&#10;')
+    .replace(/\t/g, '&#9;')
+}
+
+function parseXmlDocument(text) {
+  const xmlDocument = new DOMParser().parseFromString(text, 'application/xml')
+  if (xmlDocument.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML')
+  }
+  return xmlDocument
+}
+
+function getChildElements(element, tagName) {
+  return Array.from(element.children).filter((child) => child.tagName === tagName)
+}
+
+function buildOpmlDocument(nodes) {
+  const rootNode = nodes.find((node) => node.parentId === null)
+  if (!rootNode) return ''
+
+  const childrenMap = buildChildrenMap(nodes)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(rootNode.label.trim())}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+  ]
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth)
+    const attributes = [`text="${escapeXml(node.label)}"`]
+    const link = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+    if (link.length > 0) {
+      attributes.push('type="link"', `url="${escapeXml(link)}"`)
+    }
+    const color = normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR)
+    if (color !== DEFAULT_NODE_COLOR) {
+      attributes.push(`_color="${color}"`)
+    }
+    const notes = getNodeNotes(node).trim()
+    if (notes.length > 0) {
+      attributes.push(`_note="${escapeXml(notes)}"`)
+    }
+    const children = childrenMap.get(node.id) ?? []
+    if (children.length === 0) {
+      lines.push(`${indent}<outline ${attributes.join(' ')}/>`)
+      return
+    }
+    lines.push(`${indent}<outline ${attributes.join(' ')}>`)
+    children.forEach((child) => visit(child, depth + 1))
+    lines.push(`${indent}</outline>`)
+  }
+
+  visit(rootNode, 2)
+  lines.push('  </body>', '</opml>')
+  return `${lines.join('\n')}\n`
+}
+
+function parseOpmlDocument(text, fallbackTitle) {
+  const xmlDocument = parseXmlDocument(text)
+  const opml = xmlDocument.documentElement
+  if (!opml || opml.tagName !== 'opml') {
+    throw new Error('Invalid OPML')
+  }
+  const body = getChildElements(opml, 'body')[0]
+  if (!body) {
+    throw new Error('Missing OPML body')
+  }
+  const head = getChildElements(opml, 'head')[0]
+  const headTitle = head ? getChildElements(head, 'title')[0]?.textContent?.trim() : ''
+
+  const items = []
+  const visit = (element, parentIndex) => {
+    getChildElements(element, 'outline').forEach((outline) => {
+      const label = outline.getAttribute('text') ?? outline.getAttribute('title') ?? ''
+      const externalLink =
+        outline.getAttribute('url') ?? outline.getAttribute('htmlUrl') ?? outline.getAttribute('xmlUrl') ?? ''
+      items.push({
+        label,
+        externalLink: externalLink.trim(),
+        color: outline.getAttribute('_color') ?? undefined,
+        notes: outline.getAttribute('_note') ?? '',
+        parentIndex,
+      })
+      visit(outline, items.length - 1)
+    })
+  }
+  visit(body, null)
+
+  if (items.length === 0) {
+    throw new Error('Empty outline')
+  }
+
+  return createNodesFromOutline(items, headTitle || fallbackTitle)
+}
+
+function buildFreeMindDocument(nodes, positions = {}) {
+  const rootNode = nodes.find((node) => node.parentId === null)
+  if (!rootNode) return ''
+
+  const childrenMap = buildChildrenMap(nodes)
+  const rootX = positions[rootNode.id]?.x ?? 0
+  const lines = ['<map version="1.0.1">']
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth)
+    const attributes = [`ID="${escapeXml(`ID_${node.id}`)}"`, `TEXT="${escapeXml(node.label)}"`]
+    if (node.parentId === rootNode.id) {
+      const x = positions[node.id]?.x ?? 0
+      attributes.push(`POSITION="${x < rootX ? 'left' : 'right'}"`)
+    }
+    const link = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+    if (link.length > 0) {
+      attributes.push(`LINK="${escapeXml(link)}"`)
+    }
+    const color = normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR)
+    if (color !== DEFAULT_NODE_COLOR) {
+      attributes.push(`BACKGROUND_COLOR="${color}"`)
+    }
+    const children = childrenMap.get(node.id) ?? []
+    if (children.length === 0) {
+      lines.push(`${indent}<node ${attributes.join(' ')}/>`)
+      return
+    }
+    lines.push(`${indent}<node ${attributes.join(' ')}>`)
+    children.forEach((child) => visit(child, depth + 1))
+    lines.push(`${indent}</node>`)
+  }
+
+  visit(rootNode, 1)
+  lines.push('</map>')
+  return `${lines.join('\n')}\n`
+}
+
+function getFreeMindNodeText(element) {
+  const text = element.getAttribute('TEXT') ?? element.getAttribute('LOCALIZED_TEXT')
+  if (text !== null) return text
+  const richContent = getChildElements(element, 'richcontent').find(
+    (child) => (child.getAttribute('TYPE') ?? 'NODE').toUpperCase() === 'NODE',
+  )
+  if (!richContent) return ''
+  const blocks = Array.from(richContent.getElementsByTagName('*')).filter((child) =>
+    ['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(child.tagName.toLowerCase()),
+  )
+  if (blocks.length > 0) {
+    return blocks
+      .map((block) => block.textContent.replace(/\s+/g, ' ').trim())
+      .filter((line) => line.length > 0)
+      .join('\n')
+  }
+  return richContent.textContent.replace(/\s+/g, ' ').trim()
+}
+
+function parseFreeMindDocument(text, fallbackTitle) {
+  const xmlDocument = parseXmlDocument(text)
+  const map = xmlDocument.documentElement
+  if (!map || map.tagName !== 'map') {
+    throw new Error('Invalid FreeMind map')
+  }
+
+  const items = []
+  const visit = (element, parentIndex) => {
+    getChildElements(element, 'node').forEach((child) => {
+      items.push({
+        label: getFreeMindNodeText(child),
+        externalLink: (child.getAttribute('LINK') ?? '').trim(),
+        color: child.getAttribute('BACKGROUND_COLOR') ?? undefined,
+        parentIndex,
+      })
+      visit(child, items.length - 1)
+    })
+  }
+  visit(map, null)
+
+  if (items.length === 0) {
+    throw new Error('Empty map')
+  }
+
+  return createNodesFromOutline(items, fallbackTitle)
+}
+
+function getCubicExtremaParams(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3
+  const b = 2 * (p0 - 2 * p1 + p2)
+  const c = p1 - p0
+  if (Math.abs(a) < 1e-9) {
+    return Math.abs(b) < 1e-9 ? [] : [-c / b]
+  }
+  const discriminant = b * b - 4 * a * c
+  if (discriminant < 0) return []
+  const root = Math.sqrt(discriminant)
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)]
+}
+
+function getCubicPoint(p0, p1, p2, p3, t) {
+  const u = 1 - t
+  return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3
+}
+
+function getRelationLabelWidth(label, measureText) {
+  const width = measureText ? measureText(label) * (EDGE_LABEL_FONT_SIZE / 16.8) : label.length * EDGE_LABEL_FONT_SIZE * 0.6
+  return width + 16
+}
+
+function computeContentBounds(nodes, positions, nodeSizes, { relationGeometries = [], measureText = null } = {}) {
+  const nodeIds = new Set(nodes.map((node) => node.id))
+  let minX = Infinity
+  let maxX = -Infinity
+  let minY = Infinity
+  let maxY = -Infinity
+
+  nodes.forEach((node) => {
+    const position = positions[node.id]
+    if (!position) return
+    const size = nodeSizes[node.id] ?? DEFAULT_NODE_SIZE
+    const halfWidth = size.width / 2
+    const halfHeight = size.height / 2
+    minX = Math.min(minX, position.x - halfWidth)
+    maxX = Math.max(maxX, position.x + halfWidth)
+    minY = Math.min(minY, position.y - halfHeight)
+    maxY = Math.max(maxY, position.y + halfHeight)
+  })
+
+  nodes.forEach((node) => {
+    if (node.parentId === null || !nodeIds.has(node.parentId)) return
+    const parentPosition = positions[node.parentId]
+    const nodePosition = positions[node.id]
+    if (!parentPosition || !nodePosition) return
+    minX = Math.min(minX, parentPosition.x, nodePosition.x)
+    maxX = Math.max(maxX, parentPosition.x, nodePosition.x)
+    minY = Math.min(minY, parentPosition.y, nodePosition.y)
+    maxY = Math.max(maxY, parentPosition.y, nodePosition.y)
+  })
+
+  const includePoint = ({ x, y }) => {
+    minX = Math.min(minX, x)
+    maxX = Math.max(maxX, x)
+    minY = Math.min(minY, y)
+    maxY = Math.max(maxY, y)
+  }
+  relationGeometries.forEach(({ relation, geometry }) => {
+    const [start, curve] = geometry.segments
+    const params = [
+      0,
+      1,
+      ...getCubicExtremaParams(start.x, curve.x1, curve.x2, curve.x),
+      ...getCubicExtremaParams(start.y, curve.y1, curve.y2, curve.y),
+    ].filter((t) => t >= 0 && t <= 1)
+    params.forEach((t) => {
+      includePoint({
+        x: getCubicPoint(start.x, curve.x1, curve.x2, curve.x, t),
+        y: getCubicPoint(start.y, curve.y1, curve.y2, curve.y, t),
+      })
+    })
+    geometry.arrow.forEach(includePoint)
+
+    const label = relation.label.replace(/\s+/g, ' ').trim()
+    if (label.length === 0) return
+    const halfWidth = getRelationLabelWidth(label, measureText) / 2
+    const { x, y } = geometry.labelPoint
+    includePoint({ x: x - halfWidth, y: y - 11 })
+    includePoint({ x: x + halfWidth, y: y + 11 })
+  })
+
+  if (!Number.isFinite(minX) || !Number.isFinite(maxX) || !Number.isFinite(minY) || !Number.isFinite(maxY)) {
+    return null
+  }
+  return { minX, maxX, minY, maxY }
+}
+
+function createTextMeasurer(font) {
+  const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null
+  const context = canvas?.getContext('2d') ?? null
+  if (context) {
+    context.font = font
+    return (text) => context.measureText(text).width
+  }
+  const fontSize = Number.parseFloat(font.match(/([\d.]+)px/)?.[1] ?? '16')
+  return (text) => text.length * fontSize * 0.55
+}
+
+function wrapTextToWidth(text, maxWidth, measure) {
+  const lines = []
+  text.split('\n').forEach((paragraph) => {
+    const words = paragraph.split(/(\s+)/).filter((part) => part.length > 0)
+    let current = ''
+    words.forEach((word) => {
+      const candidate = current + word
+      if (current.length === 0 || measure(candidate.trimEnd()) <= maxWidth) {
+        current = candidate
+      } else {
+        lines.push(current.trimEnd())
+        current = /^\s+$/.test(word) ? '' : word
+      }
+      while (measure(current.trimEnd()) > maxWidth && current.trimEnd().length > 1) {
+        let splitIndex = current.length - 1
+        while (splitIndex > 1 && measure(current.slice(0, splitIndex)) > maxWidth) {
+          splitIndex -= 1
+        }
+        lines.push(current.slice(0, splitIndex))
+        current = current.slice(splitIndex)
+      }
+    })
+    lines.push(current.trimEnd())
+  })
+  return lines
+}
+
+function formatSvgNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '')
+}
+
+function getLayoutOrientation(engine) {
+  return LAYOUT_ENGINES.find((item) => item.value === engine)?.orientation ?? 'auto'
+}
+
+function getEdgeLabel(node) {
+  return typeof node.edgeLabel === 'string' ? node.edgeLabel.replace(/\s+/g, ' ').trim() : ''
+}
+
+function getCardBorderPoint(center, size, target) {
+  const dx = target.x - center.x
+  const dy = target.y - center.y
+  const ratio = Math.min(
+    dx === 0 ? Infinity : size.width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : size.height / 2 / Math.abs(dy),
+    1,
+  )
+  return { x: center.x + dx * ratio, y: center.y + dy * ratio }
+}
+
+function getConnectorGeometry({ style, orientation, from, fromSize, to, toSize }) {
+  if (style === 'straight') {
+    const start = getCardBorderPoint(from, fromSize, to)
+    const end = getCardBorderPoint(to, toSize, from)
+    return {
+      segments: [
+        { type: 'M', ...start },
+        { type: 'L', ...end },
+      ],
+      isFilled: false,
+      labelPoint: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 },
+    }
+  }
+
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const isVertical = orientation === 'vertical' || (orientation === 'auto' && Math.abs(dy) > Math.abs(dx))
+  const direction = (isVertical ? dy : dx) >= 0 ? 1 : -1
+  const start = isVertical
+    ? { x: from.x, y: from.y + (direction * fromSize.height) / 2 }
+    : { x: from.x + (direction * fromSize.width) / 2, y: from.y }
+  const end = isVertical
+    ? { x: to.x, y: to.y - (direction * toSize.height) / 2 }
+    : { x: to.x - (direction * toSize.width) / 2, y: to.y }
+
+  if (style === 'elbow') {
+    const middle = isVertical ? (start.y + end.y) / 2 : (start.x + end.x) / 2
+    const firstBend = isVertical ? { x: start.x, y: middle } : { x: middle, y: start.y }
+    const secondBend = isVertical ? { x: end.x, y: middle } : { x: middle, y: end.y }
+    return {
+      segments: [
+        { type: 'M', ...start },
+        { type: 'L', ...firstBend },
+        { type: 'L', ...secondBend },
+        { type: 'L', ...end },
+      ],
+      isFilled: false,
+      labelPoint: { x: (secondBend.x + end.x) / 2, y: (secondBend.y + end.y) / 2 },
+    }
+  }
+
+  const control1 = isVertical ? { x: start.x, y: (start.y + end.y) / 2 } : { x: (start.x + end.x) / 2, y: start.y }
+  const control2 = isVertical ? { x: end.x, y: (start.y + end.y) / 2 } : { x: (start.x + end.x) / 2, y: end.y }
+  const labelPoint = {
+    x: (start.x + 3 * control1.x + 3 * control2.x + end.x) / 8,
+    y: (start.y + 3 * control1.y + 3 * control2.y + end.y) / 8,
+  }
+
+  if (style === 'tapered') {
+    const length = Math.hypot(end.x - start.x, end.y - start.y) || 1
+    const normal = { x: -(end.y - start.y) / length, y: (end.x - start.x) / length }
+    const offset = (point, amount) => ({ x: point.x + normal.x * amount, y: point.y + normal.y * amount })
+    const startWidth = 7
+    const endWidth = 1.5
+    const control1Width = (2 * startWidth + endWidth) / 3
+    const control2Width = (startWidth + 2 * endWidth) / 3
+    const toCurve = (first, second, target) => ({
+      type: 'C',
+      x1: first.x,
+      y1: first.y,
+      x2: second.x,
+      y2: second.y,
+      x: target.x,
+      y: target.y,
+    })
+    return {
+      segments: [
+        { type: 'M', ...offset(start, startWidth) },
+        toCurve(offset(control1, control1Width), offset(control2, control2Width), offset(end, endWidth)),
+        { type: 'L', ...offset(end, -endWidth) },
+        toCurve(offset(control2, -control2Width), offset(control1, -control1Width), offset(start, -startWidth)),
+        { type: 'Z' },
+      ],
+      isFilled: true,
+      labelPoint,
+    }
+  }
+
+  return {
+    segments: [
+      { type: 'M', ...start },
+      { type: 'C', x1: control1.x, y1: control1.y, x2: control2.x, y2: control2.y, x: end.x, y: end.y },
+    ],
+    isFilled: false,
+    labelPoint,
+  }
+}
+
+function getConnections(nodes, positions, nodeSizes, { style, orientation }) {
+  const nodeIds = new Set(nodes.map((node) => node.id))
+  return nodes
+    .map((node) => {
+      if (node.parentId === null || !nodeIds.has(node.parentId)) return null
+      const parentPosition = positions[node.parentId]
+      const nodePosition = positions[node.id]
+      if (!parentPosition || !nodePosition) return null
+      return {
+        id: node.id,
+        label: getEdgeLabel(node),
+        ...getConnectorGeometry({
+          style,
+          orientation,
+          from: parentPosition,
+          fromSize: nodeSizes[node.parentId] ?? DEFAULT_NODE_SIZE,
+          to: nodePosition,
+          toSize: nodeSizes[node.id] ?? DEFAULT_NODE_SIZE,
+        }),
+      }
+    })
+    .filter(Boolean)
+}
+
+function getDefaultRelationControls(from, to) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const length = Math.hypot(dx, dy) || 1
+  const bend = Math.max(length * 0.3, 80) / length
+  return [
+    { x: dx / 3 - dy * bend, y: dy / 3 + dx * bend },
+    { x: -dx / 3 - dy * bend, y: -dy / 3 + dx * bend },
+  ]
+}
+
+function getRelationGeometry(relation, positions, nodeSizes) {
+  const from = positions[relation.sourceId]
+  const to = positions[relation.targetId]
+  if (!from || !to) return null
+  const offsets = relation.controls ?? getDefaultRelationControls(from, to)
+  const control1 = { x: from.x + offsets[0].x, y: from.y + offsets[0].y }
+  const control2 = { x: to.x + offsets[1].x, y: to.y + offsets[1].y }
+  const start = getCardBorderPoint(from, nodeSizes[relation.sourceId] ?? DEFAULT_NODE_SIZE, control1)
+  const end = getCardBorderPoint(to, nodeSizes[relation.targetId] ?? DEFAULT_NODE_SIZE, control2)
+  const angle = Math.atan2(end.y - control2.y, end.x - control2.x)
+  const arrowLength = 14
+  const arrowWidth = 6
+  const arrowBase = { x: end.x - Math.cos(angle) * arrowLength, y: end.y - Math.sin(angle) * arrowLength }
+  return {
+    segments: [
+      { type: 'M', ...start },
+      { type: 'C', x1: control1.x, y1: control1.y, x2: control2.x, y2: control2.y, x: arrowBase.x, y: arrowBase.y },
+    ],
+    arrow: [
+      end,
+      { x: arrowBase.x - Math.sin(angle) * arrowWidth, y: arrowBase.y + Math.cos(angle) * arrowWidth },
+      { x: arrowBase.x + Math.sin(angle) * arrowWidth, y: arrowBase.y - Math.cos(angle) * arrowWidth },
+    ],
+    controls: [control1, control2],
+    anchors: [from, to],
+    labelPoint: {
+      x: (start.x + 3 * control1.x + 3 * control2.x + arrowBase.x) / 8,
+      y: (start.y + 3 * control1.y + 3 * control2.y + arrowBase.y) / 8,
+    },
+  }
+}
+
+function formatConnectorPath(segments) {
+  const n = formatSvgNumber
+  return segments
+    .map((segment) => {
+      if (segment.type === 'Z') return 'Z'
+      if (segment.type === 'C') {
+        return `C ${n(segment.x1)} ${n(segment.y1)} ${n(segment.x2)} ${n(segment.y2)} ${n(segment.x)} ${n(segment.y)}`
+      }
+      return `${segment.type} ${n(segment.x)} ${n(segment.y)}`
+    })
+    .join(' ')
+}
+
+function buildSvgDocument({
+  nodes,
+  positions,
+  nodeSizes,
+  measureText,
+  background = 'gradient',
+  connectorStyle = DEFAULT_CONNECTOR_STYLE,
+  connectorOrientation = 'auto',
+  relations = [],
+}) {
+  const relationGeometries = relations
+    .map((relation) => ({ relation, geometry: getRelationGeometry(relation, positions, nodeSizes) }))
+    .filter(({ geometry }) => geometry)
+  const bounds = computeContentBounds(nodes, positions, nodeSizes, { relationGeometries, measureText })
+  if (!bounds) return null
+
+  const margin = 40
+  const minX = bounds.minX - margin
+  const minY = bounds.minY - margin
+  const width = Math.max(bounds.maxX - bounds.minX, 1) + margin * 2
+  const height = Math.max(bounds.maxY - bounds.minY, 1) + margin * 2
+  const n = formatSvgNumber
+
+  const fontSize = 16.8
+  const lineHeight = fontSize * 1.3
+  const borderWidth = 5
+  const cornerRadius = 24
+  const textInset = 20 + borderWidth + 4
+  const fontFamily = "Inter, system-ui, -apple-system, 'Segoe UI', sans-serif"
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" width="${n(width)}" height="${n(height)}" viewBox="${n(minX)} ${n(minY)} ${n(width)} ${n(height)}">`,
+  ]
+  if (background === 'gradient') {
+    lines.push(
+      '  <defs>',
+      '    <radialGradient id="map-background" cx="50%" cy="0%" r="120%">',
+      '      <stop offset="0%" stop-color="#f8fafc"/>',
+      '      <stop offset="100%" stop-color="#e2e8f0"/>',
+      '    </radialGradient>',
+      '  </defs>',
+      `  <rect x="${n(minX)}" y="${n(minY)}" width="${n(width)}" height="${n(height)}" fill="url(#map-background)"/>`,
+    )
+  }
+  const connections = getConnections(nodes, positions, nodeSizes, {
+    style: connectorStyle,
+    orientation: connectorOrientation,
+  })
+  lines.push(
+    '  <g fill="none" stroke="#0f172a" stroke-opacity="0.25" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">',
+  )
+  connections.forEach((connection) => {
+    const path = formatConnectorPath(connection.segments)
+    lines.push(
+      connection.isFilled
+        ? `    <path d="${path}" fill="#0f172a" fill-opacity="0.25" stroke="none"/>`
+        : `    <path d="${path}"/>`,
+    )
+  })
+  lines.push('  </g>')
+
+  connections
+    .filter((connection) => connection.label.length > 0)
+    .forEach((connection) => {
+      const labelWidth = (measureText(connection.label) * EDGE_LABEL_FONT_SIZE) / fontSize + 16
+      const { x, y } = connection.labelPoint
+      lines.push(
+        '  <g>',
+        `    <rect x="${n(x - labelWidth / 2)}" y="${n(y - 11)}" width="${n(labelWidth)}" height="22" rx="11" fill="#ffffff" stroke="#0f172a" stroke-opacity="0.2"/>`,
+        `    <text x="${n(x)}" y="${n(y + EDGE_LABEL_FONT_SIZE * 0.35)}" text-anchor="middle" font-family="${escapeXml(fontFamily)}" font-size="${EDGE_LABEL_FONT_SIZE}" font-weight="600" fill="#334155">${escapeXml(connection.label)}</text>`,
+        '  </g>',
+      )
+    })
+
+  if (relationGeometries.length > 0) {
+    lines.push('  <g stroke="#6366f1" stroke-width="2.5" stroke-linecap="round">')
+    relationGeometries.forEach(({ relation, geometry }) => {
+      const arrow = geometry.arrow.map((point) => `${n(point.x)},${n(point.y)}`).join(' ')
+      lines.push(
+        `    <path d="${formatConnectorPath(geometry.segments)}" fill="none" stroke-dasharray="8 6"/>`,
+        `    <polygon points="${arrow}" fill="#6366f1" stroke-linejoin="round"/>`,
+      )
+      const label = relation.label.replace(/\s+/g, ' ').trim()
+      if (label.length > 0) {
+        const labelWidth = getRelationLabelWidth(label, measureText)
+        const { x, y } = geometry.labelPoint
+        lines.push(
+          `    <rect x="${n(x - labelWidth / 2)}" y="${n(y - 11)}" width="${n(labelWidth)}" height="22" rx="11" fill="#eef2ff" stroke-width="1"/>`,
+          `    <text x="${n(x)}" y="${n(y + EDGE_LABEL_FONT_SIZE * 0.35)}" text-anchor="middle" font-family="${escapeXml(fontFamily)}" font-size="${EDGE_LABEL_FONT_SIZE}" font-weight="600" fill="#4338ca" stroke="none">${escapeXml(label)}</text>`,
+        )
+      }
+    })
+    lines.push('  </g>')
+  }
+
+  nodes.forEach((node, index) => {
+    const position = positions[node.id]
+    if (!position) return
+    const size = nodeSizes[node.id] ?? DEFAULT_NODE_SIZE
+    const x = position.x - size.width / 2
+    const y = position.y - size.height / 2
+    const color = normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR)
+    const isPlaceholder = node.label.trim().length === 0
+    const label = isPlaceholder ? PLACEHOLDER_LABEL : node.label
+    const textLines = wrapTextToWidth(label, Math.max(size.width - textInset * 2, 1), measureText)
+    const image = getNodeImage(node)
+    const imageSize = image ? getNodeImageDisplaySize(image) : null
+    const imageOffset = imageSize ? imageSize.height + NODE_IMAGE_GAP : 0
+    const textHeight = lineHeight * textLines.length
+    const firstBaseline = position.y + imageOffset / 2 - textHeight / 2 + lineHeight / 2 + fontSize * 0.35
+    const link = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+    const indent = link.length > 0 ? '      ' : '    '
+
+    lines.push('  <g>')
+    lines.push(
+      `    <rect x="${n(x + 12)}" y="${n(y + 14)}" width="${n(size.width)}" height="${n(size.height)}" rx="${cornerRadius}" fill="#0f172a" fill-opacity="0.12"/>`,
+    )
+    lines.push(
+      `    <rect x="${n(x + borderWidth / 2)}" y="${n(y + borderWidth / 2)}" width="${n(size.width - borderWidth)}" height="${n(size.height - borderWidth)}" rx="${n(cornerRadius - borderWidth / 2)}" fill="${color}" stroke="#000000" stroke-width="${borderWidth}"/>`,
+    )
+    if (imageSize) {
+      const imageX = position.x - imageSize.width / 2
+      const imageY = position.y - (imageOffset + textHeight) / 2
+      const clipId = `node-image-clip-${index}`
+      lines.push(
+        `    <clipPath id="${clipId}"><rect x="${n(imageX)}" y="${n(imageY)}" width="${imageSize.width}" height="${imageSize.height}" rx="10"/></clipPath>`,
+        `    <image href="${escapeXml(image.src)}" xlink:href="${escapeXml(image.src)}" x="${n(imageX)}" y="${n(imageY)}" width="${imageSize.width}" height="${imageSize.height}" preserveAspectRatio="none" clip-path="url(#${clipId})"/>`,
+      )
+    }
+    if (link.length > 0) {
+      lines.push(`    <a href="${escapeXml(link)}" xlink:href="${escapeXml(link)}" target="_blank">`)
+    }
+    lines.push(
+      `${indent}<text x="${n(position.x)}" text-anchor="middle" font-family="${escapeXml(fontFamily)}" font-size="${fontSize}" font-weight="${isPlaceholder ? 500 : 600}" fill="#0f172a"${isPlaceholder ? ' fill-opacity="0.45"' : ''}>`,
+    )
+    textLines.forEach((line, index) => {
+      lines.push(
+        `${indent}  <tspan x="${n(position.x)}" y="${n(firstBaseline + index * lineHeight)}">${escapeXml(line.length > 0 ? line : ' ')}</tspan>`,
+      )
+    })
+    lines.push(`${indent}</text>`)
+    if (link.length > 0) {
+      lines.push('    </a>')
+    }
+    lines.push('  </g>')
+  })
+
+  lines.push('</svg>')
+  return { markup: `${lines.join('\n')}\n`, width, height }
+}
+
+async function renderSvgToPngBlob({ markup, width, height }, requestedScale) {
+  const scale = Math.min(
+    requestedScale,
+    MAX_CANVAS_DIMENSION / width,
+    MAX_CANVAS_DIMENSION / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height)),
+  )
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }))
+  try {
+    const image = new Image()
+    await new Promise((resolve, reject) => {
+      image.onload = resolve
+      image.onerror = () => reject(new Error('Failed to rasterize SVG'))
+      image.src = url
+    })
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(Math.round(width * scale), 1)
+    canvas.height = Math.max(Math.round(height * scale), 1)
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+      throw new Error('Canvas unavailable')
+    }
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode PNG'))), 'image/png')
+    })
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+function createPdfBackgroundDataUrl(pageWidth, pageHeight) {
+  if (typeof document === 'undefined') return null
+  const backgroundCanvas = document.createElement('canvas')
+  const referenceWidth = 2048
+  backgroundCanvas.width = referenceWidth
+  backgroundCanvas.height = Math.round(referenceWidth * (pageHeight / pageWidth))
+  const ctx = backgroundCanvas.getContext('2d')
+  if (!ctx) return null
+
+  const { width, height } = backgroundCanvas
+
+  ctx.fillStyle = '#f8fafc'
+  ctx.fillRect(0, 0, width, height)
+
+  const baseGradient = ctx.createRadialGradient(
+    width / 2,
+    height * 0.1,
+    width * 0.1,
+    width / 2,
+    height / 2,
+    Math.max(width, height),
+  )
+  baseGradient.addColorStop(0, '#f8fafc')
+  baseGradient.addColorStop(1, '#e2e8f0')
+  ctx.fillStyle = baseGradient
+  ctx.fillRect(0, 0, width, height)
+
+  const overlayGradient = ctx.createRadialGradient(
+    width / 2,
+    height / 2,
+    width * 0.1,
+    width / 2,
+    height / 2,
+    Math.max(width, height) * 0.75,
+  )
+  overlayGradient.addColorStop(0, 'rgba(148, 163, 184, 0.18)')
+  overlayGradient.addColorStop(1, 'rgba(148, 163, 184, 0.05)')
+  ctx.fillStyle = overlayGradient
+  ctx.fillRect(0, 0, width, height)
+
+  return backgroundCanvas.toDataURL('image/png')
+}
+
+function createEmojiDataUrl(emoji) {
+  if (typeof document === 'undefined') return null
+  const emojiCanvas = document.createElement('canvas')
+  emojiCanvas.width = 96
+  emojiCanvas.height = 96
+  const ctx = emojiCanvas.getContext('2d')
+  if (!ctx) return null
+  ctx.font = "72px 'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', sans-serif"
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(emoji, 48, 52)
+  return emojiCanvas.toDataURL('image/png')
+}
+
+function drawPdfPolygon(pdf, points, x, y, unit, style) {
+  const segments = points.slice(1).map(([px, py], index) => [
+    (px - points[index][0]) * unit,
+    (py - points[index][1]) * unit,
+  ])
+  pdf.lines(segments, x + points[0][0] * unit, y + points[0][1] * unit, [1, 1], style, true)
+}
+
+function drawPdfMarker(pdf, marker, x, y, size) {
+  const unit = size / MARKER_SIZE
+  const fontSizeFor = (px) => px * unit * (72 / 25.4)
+  const centerX = x + size / 2
+  const centerY = y + size / 2
+
+  if (marker.type === 'emoji') {
+    const dataUrl = createEmojiDataUrl(marker.value)
+    if (dataUrl) {
+      pdf.addImage(dataUrl, 'PNG', x, y, size, size)
+    }
+    return
+  }
+
+  if (marker.type === 'priority') {
+    const { r, g, b } = hexToRgb(PRIORITY_MARKER_COLORS[marker.value - 1])
+    pdf.setFillColor(r, g, b)
+    pdf.circle(centerX, centerY, 9 * unit, 'F')
+    pdf.setTextColor(255, 255, 255)
+    pdf.setFontSize(fontSizeFor(12))
+    pdf.text(String(marker.value), centerX, centerY, { align: 'center', baseline: 'middle' })
+    return
+  }
+
+  const icon = MARKER_ICONS.find((item) => item.value === marker.value)
+  const { r, g, b } = hexToRgb(icon.color)
+  pdf.setFillColor(r, g, b)
+
+  if (marker.value === 'flag') {
+    drawPdfPolygon(pdf, [[5, 3], [16, 3], [13, 7], [16, 11], [5, 11]], x, y, unit, 'F')
+    pdf.setDrawColor(71, 85, 105)
+    pdf.setLineWidth(2 * unit)
+    pdf.line(x + 5 * unit, y + 3 * unit, x + 5 * unit, y + 18 * unit)
+  } else if (marker.value === 'star') {
+    const starPoints = Array.from({ length: 10 }, (_, index) => {
+      const radius = index % 2 === 0 ? 8.8 : 3.8
+      const angle = -Math.PI / 2 + (index * Math.PI) / 5
+      return [10 + Math.cos(angle) * radius, 10.4 + Math.sin(angle) * radius]
+    })
+    drawPdfPolygon(pdf, starPoints, x, y, unit, 'F')
+  } else if (marker.value === 'question') {
+    pdf.circle(centerX, centerY, 9 * unit, 'F')
+    pdf.setTextColor(255, 255, 255)
+    pdf.setFontSize(fontSizeFor(13))
+    pdf.text('?', centerX, centerY, { align: 'center', baseline: 'middle' })
+  } else {
+    pdf.triangle(x + 10 * unit, y + 1.5 * unit, x + 19 * unit, y + 18 * unit, x + unit, y + 18 * unit, 'F')
+    pdf.setTextColor(255, 255, 255)
+    pdf.setFontSize(fontSizeFor(12))
+    pdf.text('!', centerX, y + 12.5 * unit, { align: 'center', baseline: 'middle' })
+  }
+}
+
+function isInteractiveTarget(target) {
+  if (!(target instanceof Element)) return false
+  if (target.isContentEditable) return true
+  return Boolean(target.closest('input, textarea, select, button, a[href], [role="dialog"]'))
+}
+
+function findNodeInDirection(nodes, positions, nodeId, direction) {
+  const node = nodes.find((item) => item.id === nodeId)
+  const origin = positions[nodeId]
+  if (!node || !origin) return null
+
+  const candidateIds = new Set()
+  if (node.parentId !== null) {
+    candidateIds.add(node.parentId)
+  }
+  nodes.forEach((item) => {
+    if (item.id === nodeId) return
+    if (item.parentId === nodeId || (node.parentId !== null && item.parentId === node.parentId)) {
+      candidateIds.add(item.id)
+    }
+  })
+
+  let bestId = null
+  let bestScore = Infinity
+  candidateIds.forEach((candidateId) => {
+    const position = positions[candidateId]
+    if (!position) return
+    const dx = position.x - origin.x
+    const dy = position.y - origin.y
+    const distance = Math.hypot(dx, dy)
+    if (distance === 0) return
+    const alignment = (dx * direction.x + dy * direction.y) / distance
+    if (alignment <= 0.2) return
+    const score = distance * (2 - alignment)
+    if (score < bestScore) {
+      bestScore = score
+      bestId = candidateId
+    }
+  })
+
+  return bestId
+}
+
+function getTopLevelNodeIds(nodes, nodeIds) {
+  const idSet = new Set(nodeIds)
+  const parentById = new Map(nodes.map((node) => [node.id, node.parentId]))
+  return nodeIds.filter((id) => {
+    let parentId = parentById.get(id)
+    while (parentId !== null && parentId !== undefined) {
+      if (idSet.has(parentId)) return false
+      parentId = parentById.get(parentId)
+    }
+    return parentById.has(id)
+  })
+}
+
+function getMovableBranchIds(nodes, nodeIds) {
+  return getTopLevelNodeIds(nodes, nodeIds).filter(
+    (id) => nodes.find((node) => node.id === id)?.parentId !== null,
+  )
+}
+
+function areBranchesAttachedTo(nodes, nodeIds, targetId) {
+  const movedIds = getMovableBranchIds(nodes, nodeIds)
+  return (
+    movedIds.length > 0 && movedIds.every((id) => nodes.find((node) => node.id === id)?.parentId === targetId)
+  )
+}
+
+function reparentBranches(nodes, nodeIds, targetId) {
+  if (!nodes.some((node) => node.id === targetId)) return null
+  if (areBranchesAttachedTo(nodes, nodeIds, targetId)) return null
+  const movedIds = getMovableBranchIds(nodes, nodeIds)
+  if (movedIds.length === 0) return null
+
+  const branchIds = new Set()
+  movedIds.forEach((id) => {
+    getBranchToDelete(nodes, id).forEach((branchId) => branchIds.add(branchId))
+  })
+  if (branchIds.has(targetId)) return null
+
+  return {
+    nodes: expandNodes(
+      nodes.map((node) => (movedIds.includes(node.id) ? { ...node, parentId: targetId } : node)),
+      [targetId],
+    ),
+    branchIds,
+  }
+}
+
+function omitCustomPositions(customPositions, nodeIds) {
+  let next = customPositions
+  nodeIds.forEach((id) => {
+    if (!(id in customPositions)) return
+    if (next === customPositions) {
+      next = { ...customPositions }
+    }
+    delete next[id]
+  })
+  return next
+}
+
+function collectSubtrees(nodes, nodeIds) {
+  const topLevelIds = new Set(getTopLevelNodeIds(nodes, nodeIds))
+  const included = new Set()
+  topLevelIds.forEach((id) => {
+    getBranchToDelete(nodes, id).forEach((branchId) => included.add(branchId))
+  })
+  return nodes
+    .filter((node) => included.has(node.id))
+    .map((node) => ({ ...node, parentId: topLevelIds.has(node.id) ? null : node.parentId }))
+}
+
+function buildTextOutline(subtreeNodes) {
+  const childrenMap = buildChildrenMap(subtreeNodes)
+  const lines = []
+  const visit = (node, depth) => {
+    const label = node.label.replace(/\s*\n\s*/g, ' ').trim()
+    lines.push(`${'  '.repeat(depth)}${formatMarkdownItem({ ...node, label })}`)
+    ;(childrenMap.get(node.id) ?? []).forEach((child) => visit(child, depth + 1))
+  }
+  subtreeNodes.filter((node) => node.parentId === null).forEach((node) => visit(node, 0))
+  return lines.join('\n')
+}
+
+function parseTextOutline(text) {
+  const items = []
+  const stack = []
+  text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/\t/g, '    ')
+      if (line.trim().length === 0) return
+      const indent = line.match(/^\s*/)[0].length
+      const content = line.trim().replace(/^(?:[-*+•]|\d+[.)])\s+/, '')
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop()
+      }
+      const parentIndex = stack.length > 0 ? stack[stack.length - 1].index : null
+      const parsed = /^https?:\/\/\S+$/i.test(content)
+        ? { label: content, externalLink: content }
+        : parseMarkdownInline(content)
+      items.push({ ...parsed, parentIndex })
+      stack.push({ indent, index: items.length - 1 })
+    })
+  return items.map((item, index) => ({
+    id: `item-${index}`,
+    label: item.label,
+    parentId: item.parentIndex === null ? null : `item-${item.parentIndex}`,
+    externalLink: item.externalLink,
+    color: DEFAULT_NODE_COLOR,
+  }))
+}
+
+function parseClipboardNodes(json) {
+  const data = JSON.parse(json)
+  if (!data || data.source !== 'openmindmap' || !Array.isArray(data.nodes)) {
+    throw new Error('Invalid clipboard data')
+  }
+  return data.nodes.filter((node) => node && typeof node.id === 'string')
+}
+
+function instantiateClipboardNodes(clipboardNodes, parentId, createId) {
+  const idMap = new Map(clipboardNodes.map((node) => [node.id, createId()]))
+  return clipboardNodes.map((node) => ({
+    ...normalizeMapNode(node),
+    id: idMap.get(node.id),
+    parentId: idMap.get(node.parentId) ?? parentId,
+  }))
+}
+
+function IconPlus() {
+  return (
+    <svg viewBox="0 0 20 20" aria-hidden="true">
+      <path d="M10 4v12M4 10h12" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" />
+    </svg>
+  )
+}
+
+function IconTrash() {
+  return (
+    <svg viewBox="0 0 20 20" aria-hidden="true">
+      <path
+        d="M4.5 6.5h11M8.5 3.5h3m-4 3v9m5-9v9m-8 0h11a1 1 0 0 1-1 1h-9a1 1 0 0 1-1-1z"
+        stroke="currentColor"
+        strokeWidth="1.4"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  )
+}
+
+function IconReparent() {
+  return (
+    <svg viewBox="0 0 20 20" aria-hidden="true">
+      <path
+        d="M5 4v6a3 3 0 0 0 3 3h7m-3-3 3 3-3 3"
+        stroke="currentColor"
+        strokeWidth="1.4"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        fill="none"
+      />
+    </svg>
+  )
+}
+
+function IconRelation() {
+  return (
+    <svg viewBox="0 0 20 20" aria-hidden="true">
+      <path
+        d="M4 14c1.5-6 8.5-9 12-8m0 0-3-2m3 2-2 3"
+        stroke="currentColor"
+        strokeWidth="1.4"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeDasharray="2.5 2"
+        fill="none"
+      />
+    </svg>
+  )
+}
+
+function IconEdit() {
+  return (
+    <svg viewBox="0 0 20 20" aria-hidden="true">
+      <path
+        d="M4 13.5 5.5 16l2.5-.5L15 8.5 12.5 6 4 13.5zm9.5-9 2.5 2.5m-7.32 7.57h7.82"
+        stroke="currentColor"
+        strokeWidth="1.4"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        fill="none"
+      />
+    </svg>
+  )
+}
+
+function MarkerGlyph({ marker }) {
+  if (marker.type === 'priority') {
+    return (
+      <>
+        <circle cx={10} cy={10} r={9} fill={PRIORITY_MARKER_COLORS[marker.value - 1]} />
+        <text x={10} y={14} fill="#ffffff" fontSize={12} fontWeight={700} textAnchor="middle">
+          {marker.value}
+        </text>
+      </>
+    )
+  }
+  if (marker.type === 'emoji') {
+    return (
+      <text x={10} y={15.5} fontSize={15} textAnchor="middle">
+        {marker.value}
+      </text>
+    )
+  }
+  const icon = MARKER_ICONS.find((item) => item.value === marker.value)
+  if (marker.value === 'flag') {
+    return (
+      <>
+        <path d="M5 18V3" stroke="#475569" strokeWidth={2} strokeLinecap="round" />
+        <path d="M5 3h11l-3 4 3 4H5z" fill={icon.color} />
+      </>
+    )
+  }
+  if (marker.value === 'star') {
+    return <path d="M10 1.5l2.6 5.4 5.9.8-4.3 4.1 1 5.9L10 14.9l-5.2 2.8 1-5.9-4.3-4.1 5.9-.8z" fill={icon.color} />
+  }
+  if (marker.value === 'question') {
+    return (
+      <>
+        <circle cx={10} cy={10} r={9} fill={icon.color} />
+        <text x={10} y={14.5} fill="#ffffff" fontSize={13} fontWeight={700} textAnchor="middle">
+          ?
+        </text>
+      </>
+    )
+  }
+  return (
+    <>
+      <path d="M10 1.5 19 18H1z" fill={icon.color} strokeLinejoin="round" />
+      <path d="M10 7.5v5M10 15.2v.1" stroke="#ffffff" strokeWidth={2} strokeLinecap="round" />
+    </>
+  )
+}
+
+function getMarkerTitle(marker) {
+  if (marker.type === 'priority') {
+    const priority = TASK_PRIORITIES.find((item) => item.value === marker.value)
+    return `Priorité ${marker.value} – ${priority?.label ?? ''}`
+  }
+  if (marker.type === 'emoji') return marker.value
+  return MARKER_ICONS.find((icon) => icon.value === marker.value)?.label ?? ''
+}
+
+function MarkdownSpans({ text }) {
+  return parseMarkdownSpans(text).map((span, index) => {
+    if (span.type === 'code') return <code key={index}>{span.text}</code>
+    if (span.type === 'strong') return <strong key={index}>{span.text}</strong>
+    if (span.type === 'em') return <em key={index}>{span.text}</em>
+    if (span.type === 'link') {
+      return (
+        <a key={index} href={span.url} target="_blank" rel="noopener noreferrer">
+          {span.text}
+        </a>
+      )
+    }
+    return span.text
+  })
+}
+
+function MarkdownContent({ text }) {
+  const blocks = useMemo(() => parseMarkdownBlocks(text), [text])
+  return (
+    <div className="markdown-content">
+      {blocks.map((block, index) => {
+        if (block.type === 'heading') {
+          const HeadingTag = `h${Math.min(block.level + 2, 6)}`
+          return (
+            <HeadingTag key={index}>
+              <MarkdownSpans text={block.text} />
+            </HeadingTag>
+          )
+        }
+        if (block.type === 'list') {
+          const ListTag = block.ordered ? 'ol' : 'ul'
+          return (
+            <ListTag key={index}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex} style={{ marginLeft: item.depth * 16 }}>
+                  <MarkdownSpans text={item.text} />
+                </li>
+              ))}
+            </ListTag>
+          )
+        }
+        if (block.type === 'code') {
+          return (
+            <pre key={index}>
+              <code>{block.lines.join('\n')}</code>
+            </pre>
+          )
+        }
+        if (block.type === 'quote') {
+          return (
+            <blockquote key={index}>
+              <MarkdownSpans text={block.lines.join('\n')} />
+            </blockquote>
+          )
+        }
+        if (block.type === 'rule') {
+          return <hr key={index} />
+        }
+        return (
+          <p key={index}>
+            <MarkdownSpans text={block.lines.join('\n')} />
+          </p>
+        )
+      })}
+    </div>
+  )
+}
+
+function App() {
+  const [nodes, setNodes] = useState(INITIAL_NODES)
+  const [selection, setSelection] = useState({ primaryId: 'root', ids: ['root'] })
+  const selectedId = selection.primaryId
+  const setSelectedId = useCallback((nodeId) => {
+    setSelection((prev) =>
+      prev.primaryId === nodeId && prev.ids.length === 1 ? prev : { primaryId: nodeId, ids: [nodeId] },
+    )
+  }, [])
+  const selectedIdSet = useMemo(() => new Set(selection.ids), [selection.ids])
+  const isMultiSelection = selection.ids.length > 1
+  const [pendingReparent, setPendingReparent] = useState(false)
+  const [relations, setRelations] = useState([])
+  const [tagColors, setTagColors] = useState({})
+  const [tagFilter, setTagFilter] = useState([])
+  const [isTagManagerOpen, setIsTagManagerOpen] = useState(false)
+  const [isNotesDrawerOpen, setIsNotesDrawerOpen] = useState(false)
+  const [isOpenTaskFilterActive, setIsOpenTaskFilterActive] = useState(false)
+  const [selectedRelationId, setSelectedRelationId] = useState(null)
+  const [pendingRelationSourceId, setPendingRelationSourceId] = useState(null)
+  const relationDragRef = useRef(null)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchIndex, setSearchIndex] = useState(0)
+  const [pendingFocusId, setPendingFocusId] = useState(null)
+  const searchInputRef = useRef(null)
+  const [isReplaceDialogOpen, setIsReplaceDialogOpen] = useState(false)
+  const [replaceOptions, setReplaceOptions] = useState({
+    find: '',
+    replacement: '',
+    matchCase: false,
+    wholeWord: false,
+    useRegex: false,
+    scope: 'map',
+  })
+  const viewAnimationRef = useRef(null)
+  const [marquee, setMarquee] = useState(null)
+  const marqueeStateRef = useRef(null)
+  const suppressNodeClickRef = useRef(false)
+  const [draftLabel, setDraftLabel] = useState(INITIAL_NODES[0].label)
+  const [customPositions, setCustomPositions] = useState({})
+  const [layoutEngine, setLayoutEngine] = useState(DEFAULT_LAYOUT_ENGINE)
+  const [connectorStyle, setConnectorStyle] = useState(DEFAULT_CONNECTOR_STYLE)
+  const [draggingNodeIds, setDraggingNodeIds] = useState([])
+  const [dropTarget, setDropTarget] = useState(null)
+  const [imageDropTargetId, setImageDropTargetId] = useState(null)
+  const dropTargetRef = useRef(null)
+  const [nodeSizes, setNodeSizes] = useState({})
+  const idCounter = useRef(nextIdFromInitial)
+  const svgRef = useRef(null)
+  const panStateRef = useRef({
+    isPanning: false,
+    pointerId: null,
+    last: { x: 0, y: 0 },
+    moved: false,
+  })
+
+  const [viewTransform, setViewTransform] = useState({
+    x: 0,
+    y: 0,
+    scale: 1,
+  })
+
+  const [isPanning, setIsPanning] = useState(false)
 
   const dragStateRef = useRef(null)
   const measurementRef = useRef(null)
   const fileInputRef = useRef(null)
   const [isConfigOpen, setIsConfigOpen] = useState(false)
+  const [editingNodeId, setEditingNodeId] = useState(null)
+  const [editingLabel, setEditingLabel] = useState('')
+  const inlineEditorRef = useRef(null)
   const configIframeRef = useRef(null)
+  const historyRef = useRef({ past: [], future: [] })
+  const [historyStatus, setHistoryStatus] = useState({ canUndo: false, canRedo: false })
+  const mapStateRef = useRef({
+    nodes,
+    customPositions,
+    viewTransform,
+    layout: layoutEngine,
+    connectorStyle,
+    relations,
+    tagColors,
+  })
+  const [currentMapId, setCurrentMapId] = useState(null)
+  const currentMapIdRef = useRef(null)
+  const lastSavedRef = useRef({ id: null, json: '' })
+  const [storedMaps, setStoredMaps] = useState([])
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false)
+  const [isLibraryAvailable, setIsLibraryAvailable] = useState(true)
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false)
+  const [isViewMenuOpen, setIsViewMenuOpen] = useState(false)
+  const [activeExportDialog, setActiveExportDialog] = useState(null)
+  const [pdfExportOptions, setPdfExportOptions] = useState({
+    format: 'a3',
+    orientation: 'landscape',
+    minFontSize: 0,
+  })
+  const [pngExportOptions, setPngExportOptions] = useState({
+    scale: 2,
+    background: 'gradient',
+    selectionOnly: false,
+  })
+
+  useEffect(() => {
+    mapStateRef.current = {
+      nodes,
+      customPositions,
+      viewTransform,
+      layout: layoutEngine,
+      connectorStyle,
+      relations,
+      tagColors,
+    }
+  }, [connectorStyle, customPositions, layoutEngine, nodes, relations, tagColors, viewTransform])
+
+  const syncHistoryStatus = useCallback(() => {
+    const { past, future } = historyRef.current
+    setHistoryStatus((prev) => {
+      const canUndo = past.length > 0
+      const canRedo = future.length > 0
+      if (prev.canUndo === canUndo && prev.canRedo === canRedo) {
+        return prev
+      }
+      return { canUndo, canRedo }
+    })
+  }, [])
+
+  const takeSnapshot = useCallback((includeView = false) => {
+    const current = mapStateRef.current
+    return {
+      nodes: current.nodes,
+      customPositions: current.customPositions,
+      layout: current.layout,
+      connectorStyle: current.connectorStyle,
+      relations: current.relations,
+      tagColors: current.tagColors,
+      viewTransform: includeView ? current.viewTransform : null,
+    }
+  }, [])
+
+  const recordHistory = useCallback(
+    ({ includeView = false } = {}) => {
+      const { past } = historyRef.current
+      const nextPast = [...past, takeSnapshot(includeView)]
+      if (nextPast.length > MAX_HISTORY_LENGTH) {
+        nextPast.shift()
+      }
+      historyRef.current = { past: nextPast, future: [] }
+      syncHistoryStatus()
+    },
+    [syncHistoryStatus, takeSnapshot],
+  )
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    setNodes(snapshot.nodes)
+    setCustomPositions(snapshot.customPositions)
+    setLayoutEngine(snapshot.layout)
+    setConnectorStyle(snapshot.connectorStyle)
+    setRelations(snapshot.relations)
+    setTagColors(snapshot.tagColors)
+    if (snapshot.viewTransform) {
+      setViewTransform(snapshot.viewTransform)
+    }
+    idCounter.current = Math.max(idCounter.current, getNextIdFromNodes(snapshot.nodes))
+  }, [])
+
+  const undo = useCallback(() => {
+    const { past, future } = historyRef.current
+    if (past.length === 0) return
+    const snapshot = past[past.length - 1]
+    historyRef.current = {
+      past: past.slice(0, -1),
+      future: [...future, takeSnapshot(Boolean(snapshot.viewTransform))],
+    }
+    restoreSnapshot(snapshot)
+    syncHistoryStatus()
+  }, [restoreSnapshot, syncHistoryStatus, takeSnapshot])
+
+  const redo = useCallback(() => {
+    const { past, future } = historyRef.current
+    if (future.length === 0) return
+    const snapshot = future[future.length - 1]
+    historyRef.current = {
+      past: [...past, takeSnapshot(Boolean(snapshot.viewTransform))],
+      future: future.slice(0, -1),
+    }
+    restoreSnapshot(snapshot)
+    syncHistoryStatus()
+  }, [restoreSnapshot, syncHistoryStatus, takeSnapshot])
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+      if (isEditableTarget(event.target)) return
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault()
+        undo()
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault()
+        redo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [redo, undo])
 
   useLayoutEffect(() => {
     if (typeof document === 'undefined') return
@@ -257,17 +2727,84 @@ function App() {
       labelEl.style.wordBreak = 'break-word'
       container.appendChild(labelEl)
 
+      const imageEl = document.createElement('div')
+      imageEl.className = 'node-image'
+
+      const titleEl = document.createElement('div')
+      titleEl.className = 'node-title'
+      const markersEl = document.createElement('span')
+      markersEl.className = 'node-markers'
+      titleEl.appendChild(markersEl)
+
+      const taskMetaEl = document.createElement('div')
+      taskMetaEl.className = 'node-task-meta'
+      container.appendChild(taskMetaEl)
+
+      const tagsEl = document.createElement('div')
+      tagsEl.className = 'node-tags'
+      container.appendChild(tagsEl)
+
       document.body.appendChild(container)
-      measurementRef.current = { container, labelEl }
+      measurementRef.current = { container, imageEl, labelEl, titleEl, markersEl, taskMetaEl, tagsEl }
     }
 
-    const { container, labelEl } = measurementRef.current
+    const { container, imageEl, labelEl, titleEl, markersEl, taskMetaEl, tagsEl } = measurementRef.current
     const nextSizes = {}
 
     nodes.forEach((node) => {
-      const trimmed = node.label.trim()
-      const text = trimmed.length > 0 ? node.label : ''
-      labelEl.textContent = text.length > 0 ? text : '\u00a0'
+      const isEditing = node.id === editingNodeId
+      const label = isEditing ? editingLabel : node.label
+      const trimmed = label.trim()
+      const text = trimmed.length > 0 || isEditing ? label : ''
+      const paddedText = text.endsWith('\n') ? `${text}\u00a0` : text
+      labelEl.textContent = paddedText.length > 0 ? paddedText : '\u00a0'
+      const markerCount = getMarkerList(node).length
+      if (markerCount > 0) {
+        markersEl.replaceChildren(
+          ...Array.from({ length: markerCount }, () => {
+            const marker = document.createElement('span')
+            marker.className = 'node-marker'
+            return marker
+          }),
+        )
+        titleEl.appendChild(labelEl)
+        container.prepend(titleEl)
+      } else {
+        titleEl.remove()
+        container.prepend(labelEl)
+      }
+      const image = getNodeImage(node)
+      if (image) {
+        const displaySize = getNodeImageDisplaySize(image)
+        imageEl.style.width = `${displaySize.width}px`
+        imageEl.style.height = `${displaySize.height}px`
+        container.prepend(imageEl)
+      } else {
+        imageEl.remove()
+      }
+      const taskMetaItems = getTaskMetaItems(getNodeTask(node))
+      taskMetaEl.replaceChildren(
+        ...taskMetaItems.map((item) => {
+          const pill = document.createElement('span')
+          pill.className = 'node-task-pill'
+          pill.textContent = item.text
+          return pill
+        }),
+      )
+      taskMetaEl.style.display = taskMetaItems.length > 0 ? '' : 'none'
+      const tags = getNodeTags(node)
+      tagsEl.replaceChildren(
+        ...tags.map((tag) => {
+          const chip = document.createElement('span')
+          chip.className = 'node-tag'
+          chip.textContent = tag
+          return chip
+        }),
+      )
+      tagsEl.style.display = tags.length > 0 ? '' : 'none'
+      const hasDetails = Boolean(image) || tags.length > 0 || taskMetaItems.length > 0
+      container.style.flexDirection = hasDetails ? 'column' : 'row'
+      container.style.gap = hasDetails ? '8px' : '0'
       container.style.width = 'auto'
       const measuredWidth = container.offsetWidth
       const clampedWidth = Math.min(Math.max(measuredWidth, MIN_NODE_WIDTH), MAX_NODE_WIDTH)
@@ -292,136 +2829,810 @@ function App() {
       }
       return prev
     })
-  }, [nodes])
+  }, [editingLabel, editingNodeId, nodes])
+
+  useEffect(() => {
+    return () => {
+      if (measurementRef.current) {
+        measurementRef.current.container.remove()
+        measurementRef.current = null
+      }
+    }
+  }, [])
+
+
+  const rootNode = useMemo(
+    () => nodes.find((node) => node.parentId === null) ?? null,
+    [nodes],
+  )
+
+  const searchMatchIds = useMemo(() => findMatchingNodeIds(nodes, searchQuery), [nodes, searchQuery])
+  const searchMatchSet = useMemo(() => new Set(searchMatchIds), [searchMatchIds])
+  const isSearching = searchQuery.trim().length > 0
+  const currentSearchId = searchMatchIds[Math.min(searchIndex, searchMatchIds.length - 1)] ?? null
+  const searchRevealedIds = useMemo(
+    () => (isSearching && currentSearchId ? getNodePathIds(nodes, currentSearchId) : undefined),
+    [currentSearchId, isSearching, nodes],
+  )
+  const collapsedLayout = useMemo(() => getCollapsedLayout(nodes, searchRevealedIds), [nodes, searchRevealedIds])
+  const visibleNodes = useMemo(
+    () => nodes.filter((node) => !collapsedLayout.hiddenIds.has(node.id)),
+    [collapsedLayout, nodes],
+  )
+  const parentNodeIds = useMemo(
+    () => new Set(nodes.map((node) => node.parentId).filter((parentId) => parentId !== null)),
+    [nodes],
+  )
+
+  useEffect(() => {
+    if (!rootNode) return
+    setSelection((prev) => {
+      const validIds = prev.ids.filter((id) => visibleNodes.some((node) => node.id === id))
+      if (validIds.length === prev.ids.length && validIds.includes(prev.primaryId)) {
+        return prev
+      }
+      if (validIds.length === 0) {
+        const parentById = new Map(nodes.map((node) => [node.id, node.parentId]))
+        let fallbackId = parentById.get(prev.primaryId) ?? rootNode.id
+        while (collapsedLayout.hiddenIds.has(fallbackId)) {
+          fallbackId = parentById.get(fallbackId)
+        }
+        return { primaryId: fallbackId, ids: [fallbackId] }
+      }
+      const primaryId = validIds.includes(prev.primaryId) ? prev.primaryId : validIds[validIds.length - 1]
+      return { primaryId, ids: validIds }
+    })
+  }, [collapsedLayout, nodes, rootNode, visibleNodes])
+
+  const toggleNodeSelection = useCallback((nodeId) => {
+    setSelection((prev) => {
+      if (!prev.ids.includes(nodeId)) {
+        return { primaryId: nodeId, ids: [...prev.ids, nodeId] }
+      }
+      if (prev.ids.length === 1) {
+        return prev
+      }
+      const ids = prev.ids.filter((id) => id !== nodeId)
+      return { primaryId: prev.primaryId === nodeId ? ids[ids.length - 1] : prev.primaryId, ids }
+    })
+  }, [])
+
+  const layoutPositions = useMemo(
+    () => computeLayout(visibleNodes, { engine: layoutEngine, nodeSizes }),
+    [layoutEngine, nodeSizes, visibleNodes],
+  )
+  const positions = useMemo(() => {
+    const merged = {}
+    visibleNodes.forEach((node) => {
+      const layout = layoutPositions[node.id]
+      const custom = customPositions[node.id]
+      const isOffset = custom && 'dx' in custom
+      if (layout && custom) {
+        merged[node.id] = isOffset
+          ? { ...layout, x: layout.x + custom.dx, y: layout.y + custom.dy }
+          : { ...layout, ...custom }
+      } else if (layout) {
+        merged[node.id] = layout
+      } else if (custom && !isOffset) {
+        merged[node.id] = custom
+      }
+    })
+    return merged
+  }, [customPositions, layoutPositions, visibleNodes])
+  const connectorOrientation = getLayoutOrientation(layoutEngine)
+  const connections = useMemo(
+    () => getConnections(visibleNodes, positions, nodeSizes, { style: connectorStyle, orientation: connectorOrientation }),
+    [connectorOrientation, connectorStyle, nodeSizes, positions, visibleNodes],
+  )
+  const measureEdgeLabel = useMemo(() => createTextMeasurer(EDGE_LABEL_FONT), [])
+  const tagSummaries = useMemo(() => collectTags(nodes), [nodes])
+  const tagFilterMatchSet = useMemo(() => {
+    const filter = new Set(tagFilter)
+    return new Set(nodes.filter((node) => getNodeTags(node).some((tag) => filter.has(tag))).map((node) => node.id))
+  }, [nodes, tagFilter])
+  const isTagFiltering = tagFilter.length > 0
+  const taskProgress = useMemo(() => computeTaskProgress(nodes), [nodes])
+  const todayKey = getLocalDateKey(new Date())
+  const isZoomedOut = viewTransform.scale < MARKER_OVERVIEW_SCALE
+  const openTaskIds = useMemo(
+    () => new Set(nodes.filter((node) => getNodeTask(node)?.done === false).map((node) => node.id)),
+    [nodes],
+  )
+  const assigneeNames = useMemo(
+    () =>
+      Array.from(new Set(nodes.map((node) => getNodeTask(node)?.assignee).filter(Boolean))).sort((a, b) =>
+        a.localeCompare(b, 'fr', { sensitivity: 'base' }),
+      ),
+    [nodes],
+  )
+  const relationGeometries = useMemo(
+    () =>
+      relations
+        .map((relation) => ({ relation, geometry: getRelationGeometry(relation, positions, nodeSizes) }))
+        .filter(({ geometry }) => geometry),
+    [nodeSizes, positions, relations],
+  )
+  const selectedRelationGeometry = relationGeometries.find(({ relation }) => relation.id === selectedRelationId) ?? null
+  const selectedNode = useMemo(() => {
+    const node = nodes.find((item) => item.id === selectedId)
+    return node ?? rootNode
+  }, [nodes, selectedId, rootNode])
+
+  const [draftExternalLink, setDraftExternalLink] = useState('')
+  const [draftEdgeLabel, setDraftEdgeLabel] = useState('')
+  const [draftTags, setDraftTags] = useState([])
+  const [draftNotes, setDraftNotes] = useState('')
+  const [draftTask, setDraftTask] = useState(null)
+  const [draftMarkers, setDraftMarkers] = useState(null)
+  const [draftImage, setDraftImage] = useState(null)
+  const [draftColor, setDraftColor] = useState(DEFAULT_NODE_COLOR)
+  const [configInitialColor, setConfigInitialColor] = useState(DEFAULT_NODE_COLOR)
+
+  useEffect(() => {
+    if (selectedNode) {
+      setDraftLabel(selectedNode.label ?? '')
+      setDraftExternalLink(selectedNode.externalLink ?? '')
+      setDraftEdgeLabel(typeof selectedNode.edgeLabel === 'string' ? selectedNode.edgeLabel : '')
+      setDraftTags(getNodeTags(selectedNode))
+      setDraftNotes(getNodeNotes(selectedNode))
+      setDraftTask(getNodeTask(selectedNode))
+      setDraftMarkers(normalizeMarkers(selectedNode.markers))
+      setDraftImage(getNodeImage(selectedNode))
+      const normalizedColor = normalizeNodeColor(selectedNode.color ?? DEFAULT_NODE_COLOR)
+      setDraftColor(normalizedColor)
+      setConfigInitialColor(normalizedColor)
+    } else {
+      setDraftLabel('')
+      setDraftExternalLink('')
+      setDraftEdgeLabel('')
+      setDraftTags([])
+      setDraftNotes('')
+      setDraftTask(null)
+      setDraftMarkers(null)
+      setDraftImage(null)
+      setDraftColor(DEFAULT_NODE_COLOR)
+      setConfigInitialColor(DEFAULT_NODE_COLOR)
+    }
+  }, [selectedNode])
+
+  const applyNodeConfig = useCallback(
+    ({ label, externalLink, color, edgeLabel, tags, notes, task, markers, image }) => {
+      if (!selectedNode) return
+      const nextLabel = typeof label === 'string' ? label : selectedNode.label
+      const nextLink =
+        typeof externalLink === 'string' ? externalLink.trim() : selectedNode.externalLink ?? ''
+      const nextColor = normalizeNodeColor(color ?? selectedNode.color ?? DEFAULT_NODE_COLOR)
+      const currentEdgeLabel = typeof selectedNode.edgeLabel === 'string' ? selectedNode.edgeLabel : ''
+      const nextEdgeLabel = typeof edgeLabel === 'string' ? edgeLabel.trim() : currentEdgeLabel
+      const currentTags = getNodeTags(selectedNode)
+      const nextTags = Array.isArray(tags) ? normalizeTags(tags) : currentTags
+      const currentNotes = getNodeNotes(selectedNode)
+      const nextNotes = typeof notes === 'string' ? notes.trimEnd() : currentNotes
+      const currentTask = getNodeTask(selectedNode)
+      const nextTask = task === undefined ? currentTask : normalizeTask(task)
+      const currentMarkers = normalizeMarkers(selectedNode.markers)
+      const nextMarkers = markers === undefined ? currentMarkers : normalizeMarkers(markers)
+      const currentImage = getNodeImage(selectedNode)
+      const nextImage = image === undefined ? currentImage : normalizeNodeImage(image)
+      if (
+        nextLabel === selectedNode.label &&
+        nextLink === (selectedNode.externalLink ?? '') &&
+        nextColor === normalizeNodeColor(selectedNode.color ?? DEFAULT_NODE_COLOR) &&
+        nextEdgeLabel === currentEdgeLabel &&
+        nextTags.join('\n') === currentTags.join('\n') &&
+        nextNotes === currentNotes &&
+        JSON.stringify(nextTask) === JSON.stringify(currentTask) &&
+        JSON.stringify(nextMarkers) === JSON.stringify(currentMarkers) &&
+        nextImage === currentImage
+      ) {
+        return
+      }
+      recordHistory()
+      setNodes((prev) =>
+        prev.map((node) => {
+          if (node.id !== selectedNode.id) {
+            return node
+          }
+          return {
+            ...node,
+            label: nextLabel,
+            externalLink: nextLink,
+            color: nextColor,
+            edgeLabel: nextEdgeLabel,
+            tags: nextTags,
+            notes: nextNotes,
+            task: nextTask,
+            markers: nextMarkers,
+            image: nextImage,
+          }
+        }),
+      )
+    },
+    [recordHistory, selectedNode],
+  )
+
+  const startInlineEdit = useCallback((nodeId, initialLabel) => {
+    setSelectedId(nodeId)
+    setEditingNodeId(nodeId)
+    setEditingLabel(initialLabel)
+  }, [setSelectedId])
+
+  const cancelInlineEdit = useCallback(() => {
+    setEditingNodeId(null)
+    setEditingLabel('')
+  }, [])
+
+  const commitInlineEdit = useCallback(() => {
+    if (!editingNodeId) return
+    const node = nodes.find((item) => item.id === editingNodeId)
+    if (node && node.label !== editingLabel) {
+      recordHistory()
+      setNodes((prev) =>
+        prev.map((item) => (item.id === editingNodeId ? { ...item, label: editingLabel } : item)),
+      )
+    }
+    setEditingNodeId(null)
+    setEditingLabel('')
+  }, [editingLabel, editingNodeId, nodes, recordHistory])
+
+  useEffect(() => {
+    if (!editingNodeId) return
+    const editor = inlineEditorRef.current
+    if (!editor) return
+    editor.focus()
+    editor.setSelectionRange(editor.value.length, editor.value.length)
+  }, [editingNodeId])
+
+  useEffect(() => {
+    if (editingNodeId && !nodes.some((node) => node.id === editingNodeId)) {
+      setEditingNodeId(null)
+      setEditingLabel('')
+    }
+  }, [editingNodeId, nodes])
+
+  const insertNode = useCallback(
+    (parentId, afterId = null) => {
+      const newNode = {
+        id: `node-${idCounter.current}`,
+        label: '',
+        parentId,
+        externalLink: '',
+        color: DEFAULT_NODE_COLOR,
+      }
+
+      idCounter.current += 1
+      recordHistory()
+      setNodes((prev) => {
+        const expanded = expandNodes(prev, [parentId])
+        const afterIndex = afterId ? expanded.findIndex((node) => node.id === afterId) : -1
+        if (afterIndex === -1) {
+          return [...expanded, newNode]
+        }
+        return [...expanded.slice(0, afterIndex + 1), newNode, ...expanded.slice(afterIndex + 1)]
+      })
+      setSelectedId(newNode.id)
+      setDraftLabel('')
+      setEditingNodeId(newNode.id)
+      setEditingLabel('')
+    },
+    [recordHistory, setSelectedId],
+  )
+
+  const addChild = useCallback(() => {
+    if (!selectedNode) return
+    insertNode(selectedNode.id)
+  }, [insertNode, selectedNode])
+
+  const addSibling = useCallback(() => {
+    if (!selectedNode) return
+    if (selectedNode.parentId === null) {
+      insertNode(selectedNode.id)
+      return
+    }
+    insertNode(selectedNode.parentId, selectedNode.id)
+  }, [insertNode, selectedNode])
+
+  const removeSelectedBranches = useCallback(() => {
+    const toDelete = new Set()
+    selection.ids.forEach((id) => {
+      if (id === rootNode?.id || !nodes.some((node) => node.id === id)) return
+      getBranchToDelete(nodes, id).forEach((branchId) => toDelete.add(branchId))
+    })
+    if (toDelete.size === 0) return
+
+    recordHistory()
+    setNodes((prev) => prev.filter((node) => !toDelete.has(node.id)))
+    setCustomPositions((prev) => {
+      const next = { ...prev }
+      let changed = false
+      toDelete.forEach((id) => {
+        if (id in next) {
+          delete next[id]
+          changed = true
+        }
+      })
+      return changed ? next : prev
+    })
+    setRelations((prev) => {
+      const next = prev.filter((relation) => !toDelete.has(relation.sourceId) && !toDelete.has(relation.targetId))
+      return next.length === prev.length ? prev : next
+    })
+    if (rootNode) {
+      setSelectedId(rootNode.id)
+    }
+  }, [nodes, recordHistory, rootNode, selection.ids, setSelectedId])
+
+  useEffect(() => {
+    if (selectedRelationId && !relations.some((relation) => relation.id === selectedRelationId)) {
+      setSelectedRelationId(null)
+    }
+  }, [relations, selectedRelationId])
+
+  const createRelation = useCallback(
+    (sourceId, targetId) => {
+      if (sourceId === targetId) return false
+      const id = getNextRelationId(relations)
+      recordHistory()
+      setRelations((prev) => [...prev, { id, sourceId, targetId, label: '', controls: null }])
+      setSelectedRelationId(id)
+      return true
+    },
+    [recordHistory, relations],
+  )
+
+  const deleteRelation = useCallback(
+    (relationId) => {
+      if (!relations.some((relation) => relation.id === relationId)) return
+      recordHistory()
+      setRelations((prev) => prev.filter((relation) => relation.id !== relationId))
+      setSelectedRelationId(null)
+    },
+    [recordHistory, relations],
+  )
+
+  const editRelationLabel = useCallback(
+    (relationId) => {
+      const relation = relations.find((item) => item.id === relationId)
+      if (!relation) return
+      const answer = window.prompt('Texte de la relation', relation.label)
+      if (answer === null) return
+      const label = answer.trim()
+      if (label === relation.label) return
+      recordHistory()
+      setRelations((prev) => prev.map((item) => (item.id === relationId ? { ...item, label } : item)))
+    },
+    [recordHistory, relations],
+  )
+
+  const applyColorToSelection = useCallback(
+    (color) => {
+      const normalizedColor = normalizeNodeColor(color)
+      const hasChange = nodes.some(
+        (node) =>
+          selectedIdSet.has(node.id) && normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR) !== normalizedColor,
+      )
+      if (!hasChange) return
+      recordHistory()
+      setNodes((prev) =>
+        prev.map((node) => (selectedIdSet.has(node.id) ? { ...node, color: normalizedColor } : node)),
+      )
+    },
+    [nodes, recordHistory, selectedIdSet],
+  )
+
+  const reparentSelection = useCallback(
+    (targetId) => {
+      if (areBranchesAttachedTo(nodes, selection.ids, targetId)) return true
+      const result = reparentBranches(nodes, selection.ids, targetId)
+      if (!result) {
+        window.alert('Impossible de rattacher une branche à elle-même ou à l’un de ses descendants.')
+        return false
+      }
+      recordHistory()
+      setNodes(result.nodes)
+      setCustomPositions((prev) => omitCustomPositions(prev, result.branchIds))
+      return true
+    },
+    [nodes, recordHistory, selection.ids],
+  )
+
+  const changeConnectorStyle = useCallback(
+    (style) => {
+      if (style === connectorStyle) return
+      recordHistory()
+      setConnectorStyle(style)
+    },
+    [connectorStyle, recordHistory],
+  )
+
+  const changeLayoutEngine = useCallback(
+    (engine) => {
+      if (engine === layoutEngine) return
+      recordHistory()
+      setLayoutEngine(engine)
+    },
+    [layoutEngine, recordHistory],
+  )
+
+  const animateViewTo = useCallback((target) => {
+    if (viewAnimationRef.current) {
+      window.cancelAnimationFrame(viewAnimationRef.current)
+    }
+    const start = mapStateRef.current.viewTransform
+    const duration = 360
+    const startTime = window.performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - startTime) / duration, 1)
+      const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2
+      setViewTransform({
+        x: start.x + (target.x - start.x) * eased,
+        y: start.y + (target.y - start.y) * eased,
+        scale: start.scale + (target.scale - start.scale) * eased,
+      })
+      viewAnimationRef.current = progress < 1 ? window.requestAnimationFrame(step) : null
+    }
+    viewAnimationRef.current = window.requestAnimationFrame(step)
+  }, [])
+
+  useEffect(() => {
+    return () => {
+      if (viewAnimationRef.current) {
+        window.cancelAnimationFrame(viewAnimationRef.current)
+      }
+    }
+  }, [])
+
+  const focusNode = useCallback(
+    (nodeId) => {
+      setSelectedId(nodeId)
+      setSelectedRelationId(null)
+      setPendingFocusId(nodeId)
+    },
+    [setSelectedId],
+  )
+
+  useEffect(() => {
+    if (!pendingFocusId) return
+    const position = positions[pendingFocusId]
+    if (!position) return
+    setPendingFocusId(null)
+    const { scale } = mapStateRef.current.viewTransform
+    animateViewTo({ x: -position.x * scale, y: -position.y * scale, scale })
+  }, [animateViewTo, pendingFocusId, positions])
+
+  const handleSearchChange = useCallback(
+    (event) => {
+      const query = event.target.value
+      setSearchQuery(query)
+      setSearchIndex(0)
+      const matchIds = findMatchingNodeIds(nodes, query)
+      if (matchIds.length > 0) {
+        focusNode(matchIds[0])
+      }
+    },
+    [focusNode, nodes],
+  )
+
+  const stepSearch = useCallback(
+    (delta) => {
+      if (searchMatchIds.length === 0) return
+      const currentIndex = Math.min(searchIndex, searchMatchIds.length - 1)
+      const nextIndex = (currentIndex + delta + searchMatchIds.length) % searchMatchIds.length
+      setSearchIndex(nextIndex)
+      focusNode(searchMatchIds[nextIndex])
+    },
+    [focusNode, searchIndex, searchMatchIds],
+  )
+
+  const selectedBranchIds = useMemo(() => {
+    const branchIds = new Set()
+    selection.ids.forEach((id) => {
+      if (!nodes.some((node) => node.id === id)) return
+      getBranchToDelete(nodes, id).forEach((branchId) => branchIds.add(branchId))
+    })
+    return branchIds
+  }, [nodes, selection.ids])
+
+  const replacePreview = useMemo(() => {
+    if (!isReplaceDialogOpen) return { changes: [], error: null }
+    let pattern = null
+    try {
+      pattern = createReplacePattern(replaceOptions.find, replaceOptions)
+    } catch {
+      return { changes: [], error: 'Expression régulière invalide.' }
+    }
+    if (!pattern) return { changes: [], error: null }
+    let scopedNodes = nodes
+    if (replaceOptions.scope === 'branch') {
+      if (selectedBranchIds.size === 0) {
+        return { changes: [], error: 'Sélectionnez un nœud pour remplacer dans sa branche.' }
+      }
+      scopedNodes = nodes.filter((node) => selectedBranchIds.has(node.id))
+    }
+    return { changes: getReplacementChanges(scopedNodes, pattern, replaceOptions.replacement, replaceOptions), error: null }
+  }, [isReplaceDialogOpen, nodes, replaceOptions, selectedBranchIds])
+
+  const openReplaceDialog = useCallback(() => {
+    setIsLibraryOpen(false)
+    setActiveExportDialog(null)
+    setIsTagManagerOpen(false)
+    setReplaceOptions((prev) => (prev.find.length === 0 ? { ...prev, find: searchQuery.trim() } : prev))
+    setIsReplaceDialogOpen(true)
+  }, [searchQuery])
+
+  const closeReplaceDialog = useCallback(() => {
+    setIsReplaceDialogOpen(false)
+  }, [])
+
+  const toggleTagManager = useCallback(() => {
+    setIsLibraryOpen(false)
+    setActiveExportDialog(null)
+    setIsReplaceDialogOpen(false)
+    setIsTagManagerOpen((prev) => !prev)
+  }, [])
+
+  useEffect(() => {
+    setTagFilter((prev) => {
+      const usedTags = new Set(tagSummaries.map((tag) => tag.name))
+      const next = prev.filter((tag) => usedTags.has(tag))
+      return next.length === prev.length ? prev : next
+    })
+  }, [tagSummaries])
+
+  const toggleTagFilter = useCallback((tag) => {
+    setTagFilter((prev) => (prev.includes(tag) ? prev.filter((item) => item !== tag) : [...prev, tag]))
+  }, [])
+
+  const changeTagColor = useCallback(
+    (tag, color) => {
+      if (getTagColor(tag, tagColors) === color) return
+      recordHistory()
+      setTagColors((prev) => ({ ...prev, [tag]: color }))
+    },
+    [recordHistory, tagColors],
+  )
+
+  const renameTag = useCallback(
+    (tag) => {
+      const input = window.prompt(`Renommer l’étiquette « ${tag} » :`, tag)
+      if (input === null) return
+      const nextName = normalizeTag(input)
+      if (nextName.length === 0 || nextName === tag) return
+      const target = tagSummaries.find(
+        (item) => item.name !== tag && item.name.toLocaleLowerCase() === nextName.toLocaleLowerCase(),
+      )
+      if (target && !window.confirm(`L’étiquette « ${target.name} » existe déjà. Fusionner « ${tag} » avec elle ?`)) {
+        return
+      }
+      const targetName = target ? target.name : nextName
+      recordHistory()
+      setNodes((prev) => renameTagInNodes(prev, tag, targetName))
+      setTagColors((prev) => {
+        const { [tag]: previousColor, ...rest } = prev
+        if (target || !previousColor) return rest
+        return { ...rest, [targetName]: previousColor }
+      })
+      setTagFilter((prev) => {
+        if (!prev.includes(tag)) return prev
+        const next = prev.filter((item) => item !== tag)
+        return next.includes(targetName) ? next : [...next, targetName]
+      })
+    },
+    [recordHistory, tagSummaries],
+  )
+
+  const applyReplacements = useCallback(() => {
+    const { changes } = replacePreview
+    if (changes.length === 0) return
+    const changesById = new Map(changes.map((change) => [change.id, change]))
+    recordHistory()
+    setNodes((prev) =>
+      prev.map((node) => {
+        const change = changesById.get(node.id)
+        if (!change) return node
+        return { ...node, label: change.nextLabel, externalLink: change.nextLink }
+      }),
+    )
+    setIsReplaceDialogOpen(false)
+  }, [recordHistory, replacePreview])
 
   useEffect(() => {
-    return () => {
-      if (measurementRef.current) {
-        measurementRef.current.container.remove()
-        measurementRef.current = null
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey) return
+      const key = event.key.toLowerCase()
+      if (key === 'f') {
+        event.preventDefault()
+        searchInputRef.current?.focus()
+        searchInputRef.current?.select()
+      } else if (key === 'h') {
+        event.preventDefault()
+        openReplaceDialog()
       }
     }
-  }, [])
 
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [openReplaceDialog])
 
-  const rootNode = useMemo(
-    () => nodes.find((node) => node.parentId === null) ?? null,
-    [nodes],
+  const toggleNodeCollapsed = useCallback(
+    (nodeId) => {
+      recordHistory()
+      setNodes((prev) =>
+        prev.map((node) => (node.id === nodeId ? { ...node, collapsed: node.collapsed !== true } : node)),
+      )
+    },
+    [recordHistory],
   )
 
-  useEffect(() => {
-    if (!rootNode) return
-    if (!nodes.some((node) => node.id === selectedId)) {
-      setSelectedId(rootNode.id)
-    }
-  }, [nodes, rootNode, selectedId])
+  const toggleTaskDone = useCallback(
+    (nodeId) => {
+      recordHistory()
+      setNodes((prev) =>
+        prev.map((node) => {
+          const task = getNodeTask(node)
+          if (node.id !== nodeId || !task) return node
+          return { ...node, task: { ...task, done: !task.done } }
+        }),
+      )
+    },
+    [recordHistory],
+  )
 
-  const layoutPositions = useMemo(() => computeLayout(nodes), [nodes])
-  const positions = useMemo(() => {
-    const merged = {}
-    nodes.forEach((node) => {
-      const layout = layoutPositions[node.id]
-      const custom = customPositions[node.id]
-      if (layout && custom) {
-        merged[node.id] = { ...layout, ...custom }
-      } else if (layout) {
-        merged[node.id] = layout
-      } else if (custom) {
-        merged[node.id] = custom
+  const attachImageToNode = useCallback(
+    async (nodeId, file) => {
+      try {
+        const image = await readImageFile(file)
+        if (!image) {
+          throw new Error('Unsupported image')
+        }
+        recordHistory()
+        setNodes((prev) => prev.map((node) => (node.id === nodeId ? { ...node, image } : node)))
+      } catch (error) {
+        console.error('Failed to attach image', error)
+        window.alert("Impossible d'ajouter cette image au nœud.")
       }
-    })
-    return merged
-  }, [customPositions, layoutPositions, nodes])
-  const selectedNode = useMemo(() => {
-    const node = nodes.find((item) => item.id === selectedId)
-    return node ?? rootNode
-  }, [nodes, selectedId, rootNode])
+    },
+    [recordHistory],
+  )
 
-  const [draftExternalLink, setDraftExternalLink] = useState('')
-  const [draftColor, setDraftColor] = useState(DEFAULT_NODE_COLOR)
-  const [configInitialColor, setConfigInitialColor] = useState(DEFAULT_NODE_COLOR)
+  const collapseToLevel = useCallback(
+    (level) => {
+      const depths = getNodeDepths(nodes)
+      const nextNodes = nodes.map((node) => {
+        const collapsed = level !== null && parentNodeIds.has(node.id) && depths.get(node.id) >= level
+        return collapsed === (node.collapsed === true) ? node : { ...node, collapsed }
+      })
+      if (nextNodes.every((node, index) => node === nodes[index])) return
+      recordHistory()
+      setNodes(nextNodes)
+    },
+    [nodes, parentNodeIds, recordHistory],
+  )
 
-  useEffect(() => {
-    if (selectedNode) {
-      setDraftLabel(selectedNode.label ?? '')
-      setDraftExternalLink(selectedNode.externalLink ?? '')
-      const normalizedColor = normalizeNodeColor(selectedNode.color ?? DEFAULT_NODE_COLOR)
-      setDraftColor(normalizedColor)
-      setConfigInitialColor(normalizedColor)
-    } else {
-      setDraftLabel('')
-      setDraftExternalLink('')
-      setDraftColor(DEFAULT_NODE_COLOR)
-      setConfigInitialColor(DEFAULT_NODE_COLOR)
+  const handleCollapseToLevelPrompt = useCallback(() => {
+    const answer = window.prompt('Replier les branches à partir de quel niveau ?', '2')
+    if (answer === null) return
+    const level = Number.parseInt(answer, 10)
+    if (!Number.isInteger(level) || level < 1) {
+      window.alert('Veuillez saisir un niveau supérieur ou égal à 1.')
+      return
     }
-  }, [selectedNode])
-
-  const applyNodeConfig = useCallback(
-    ({ label, externalLink, color }) => {
-      if (!selectedNode) return
-      setNodes((prev) =>
-        prev.map((node) => {
-          if (node.id !== selectedNode.id) {
-            return node
-          }
-          const nextLabel = typeof label === 'string' ? label : node.label
-          const nextLink = typeof externalLink === 'string' ? externalLink.trim() : node.externalLink ?? ''
-          const nextColor = normalizeNodeColor(color ?? node.color ?? DEFAULT_NODE_COLOR)
-          return {
-            ...node,
-            label: nextLabel,
-            externalLink: nextLink,
-            color: nextColor,
-          }
-        }),
+    collapseToLevel(level)
+  }, [collapseToLevel])
+
+  const writeSelectionToClipboard = useCallback(
+    (clipboardData) => {
+      const subtreeNodes = collectSubtrees(nodes, selection.ids)
+      if (subtreeNodes.length === 0) return false
+      clipboardData.setData(
+        CLIPBOARD_MIME_TYPE,
+        JSON.stringify({ source: 'openmindmap', version: 1, nodes: subtreeNodes }),
       )
+      clipboardData.setData('text/plain', buildTextOutline(subtreeNodes))
+      return true
     },
-    [selectedNode],
+    [nodes, selection.ids],
   )
 
-  const addChild = useCallback(() => {
-    if (!selectedNode) return
+  const pasteFromClipboard = useCallback(
+    (clipboardData) => {
+      if (!selectedNode) return false
+      let clipboardNodes = []
+      const json = clipboardData.getData(CLIPBOARD_MIME_TYPE)
+      if (json) {
+        try {
+          clipboardNodes = parseClipboardNodes(json)
+        } catch (error) {
+          console.error('Failed to read copied nodes', error)
+        }
+      }
+      if (clipboardNodes.length === 0) {
+        clipboardNodes = parseTextOutline(clipboardData.getData('text/plain') ?? '')
+      }
+      if (clipboardNodes.length === 0) return false
+
+      const pastedNodes = instantiateClipboardNodes(clipboardNodes, selectedNode.id, () => {
+        const id = `node-${idCounter.current}`
+        idCounter.current += 1
+        return id
+      })
+      const pastedTopLevelIds = pastedNodes
+        .filter((node) => node.parentId === selectedNode.id)
+        .map((node) => node.id)
+
+      recordHistory()
+      setNodes((prev) => [...expandNodes(prev, [selectedNode.id]), ...pastedNodes])
+      setSelection({ primaryId: pastedTopLevelIds[0], ids: pastedTopLevelIds })
+      return true
+    },
+    [recordHistory, selectedNode],
+  )
 
-    const newNode = {
-      id: `node-${idCounter.current}`,
-      label: '',
-      parentId: selectedNode.id,
-      externalLink: '',
-      color: DEFAULT_NODE_COLOR,
+  useEffect(() => {
+    const shouldIgnore = (event) => {
+      if (isConfigOpen || editingNodeId || isEditableTarget(event.target)) return true
+      const textSelection = window.getSelection?.()
+      return Boolean(textSelection && textSelection.toString().length > 0)
     }
 
-    idCounter.current += 1
-    setNodes((prev) => [...prev, newNode])
-    setSelectedId(newNode.id)
-    setDraftLabel('')
-  }, [selectedNode])
+    const handleCopy = (event) => {
+      if (shouldIgnore(event) || !event.clipboardData) return
+      if (writeSelectionToClipboard(event.clipboardData)) {
+        event.preventDefault()
+      }
+    }
 
-  const removeSelectedBranch = useCallback(() => {
-    if (!selectedNode || selectedNode.id === rootNode?.id) return
+    const handleCut = (event) => {
+      if (shouldIgnore(event) || !event.clipboardData) return
+      if (writeSelectionToClipboard(event.clipboardData)) {
+        event.preventDefault()
+        removeSelectedBranches()
+      }
+    }
 
-    const toDelete = getBranchToDelete(nodes, selectedNode.id)
-    setNodes((prev) => prev.filter((node) => !toDelete.has(node.id)))
-    setCustomPositions((prev) => {
-      const next = { ...prev }
-      let changed = false
-      toDelete.forEach((id) => {
-        if (id in next) {
-          delete next[id]
-          changed = true
-        }
-      })
-      return changed ? next : prev
-    })
-    if (rootNode) {
-      setSelectedId(rootNode.id)
+    const handlePaste = (event) => {
+      if (shouldIgnore(event) || !event.clipboardData) return
+      const hasCopiedNodes = event.clipboardData.getData(CLIPBOARD_MIME_TYPE).length > 0
+      const imageFile = hasCopiedNodes ? null : getImageFile(event.clipboardData)
+      if (imageFile && selectedNode) {
+        event.preventDefault()
+        attachImageToNode(selectedNode.id, imageFile)
+        return
+      }
+      if (pasteFromClipboard(event.clipboardData)) {
+        event.preventDefault()
+      }
+    }
+
+    document.addEventListener('copy', handleCopy)
+    document.addEventListener('cut', handleCut)
+    document.addEventListener('paste', handlePaste)
+    return () => {
+      document.removeEventListener('copy', handleCopy)
+      document.removeEventListener('cut', handleCut)
+      document.removeEventListener('paste', handlePaste)
     }
-  }, [nodes, rootNode, selectedNode])
+  }, [
+    attachImageToNode,
+    editingNodeId,
+    isConfigOpen,
+    pasteFromClipboard,
+    removeSelectedBranches,
+    selectedNode,
+    writeSelectionToClipboard,
+  ])
 
   const openConfigPanel = useCallback(() => {
     if (!selectedNode) return
     const normalizedColor = normalizeNodeColor(selectedNode.color ?? DEFAULT_NODE_COLOR)
     setDraftLabel(selectedNode.label)
     setDraftExternalLink(selectedNode.externalLink ?? '')
+    setDraftNotes(getNodeNotes(selectedNode))
+    setDraftTask(getNodeTask(selectedNode))
+    setDraftMarkers(normalizeMarkers(selectedNode.markers))
+    setDraftImage(getNodeImage(selectedNode))
     setDraftColor(normalizedColor)
     setConfigInitialColor(normalizedColor)
     setIsConfigOpen(true)
@@ -431,6 +3642,103 @@ function App() {
     setIsConfigOpen(false)
   }, [])
 
+  useEffect(() => {
+    if (isConfigOpen) return
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+      if (isInteractiveTarget(event.target) || !selectedNode) return
+
+      const direction = ARROW_DIRECTIONS[event.key]
+      if (direction) {
+        event.preventDefault()
+        const nextId = findNodeInDirection(nodes, positions, selectedNode.id, direction)
+        if (nextId) {
+          setSelectedId(nextId)
+        }
+        return
+      }
+
+      switch (event.key) {
+        case 'Tab':
+          event.preventDefault()
+          addChild()
+          return
+        case 'Enter':
+          event.preventDefault()
+          addSibling()
+          return
+        case 'F2':
+          event.preventDefault()
+          startInlineEdit(selectedNode.id, selectedNode.label)
+          return
+        case 'Delete':
+        case 'Backspace':
+          event.preventDefault()
+          if (selectedRelationId) {
+            deleteRelation(selectedRelationId)
+          } else {
+            removeSelectedBranches()
+          }
+          return
+        case 'Escape':
+          if (pendingReparent) {
+            event.preventDefault()
+            setPendingReparent(false)
+          } else if (pendingRelationSourceId) {
+            event.preventDefault()
+            setPendingRelationSourceId(null)
+          } else if (selectedRelationId) {
+            event.preventDefault()
+            setSelectedRelationId(null)
+          }
+          return
+        default:
+          break
+      }
+
+      if (event.key.length === 1 && event.key.trim().length > 0) {
+        event.preventDefault()
+        startInlineEdit(selectedNode.id, event.key)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [
+    addChild,
+    addSibling,
+    deleteRelation,
+    isConfigOpen,
+    nodes,
+    pendingRelationSourceId,
+    pendingReparent,
+    positions,
+    removeSelectedBranches,
+    selectedNode,
+    selectedRelationId,
+    setSelectedId,
+    startInlineEdit,
+  ])
+
+  useEffect(() => {
+    const handleClick = (event) => {
+      if (event.detail === 0 || !(event.target instanceof Element)) return
+      const button = event.target.closest('button')
+      if (!button || button.closest('[role="dialog"]')) return
+      if (document.activeElement === button) {
+        svgRef.current?.focus({ preventScroll: true })
+      }
+    }
+
+    window.addEventListener('click', handleClick)
+    return () => {
+      window.removeEventListener('click', handleClick)
+    }
+  }, [])
+
   useEffect(() => {
     if (!isConfigOpen) return
 
@@ -445,12 +3753,26 @@ function App() {
         const label = typeof data.payload?.label === 'string' ? data.payload.label : ''
         const externalLink = typeof data.payload?.externalLink === 'string' ? data.payload.externalLink : ''
         const color = typeof data.payload?.color === 'string' ? data.payload.color : DEFAULT_NODE_COLOR
+        const edgeLabel = typeof data.payload?.edgeLabel === 'string' ? data.payload.edgeLabel : undefined
+        const tags = normalizeTags(data.payload?.tags)
+        const notes = typeof data.payload?.notes === 'string' ? data.payload.notes : ''
+        const task = normalizeTask(data.payload?.task)
+        const markers = normalizeMarkers(data.payload?.markers)
+        const image = data.payload?.removeImage === true ? null : undefined
         const normalizedColor = normalizeNodeColor(color)
         setDraftLabel(label)
         setDraftExternalLink(externalLink)
+        setDraftEdgeLabel(edgeLabel ?? '')
+        setDraftTags(tags)
+        setDraftNotes(notes)
+        setDraftTask(task)
+        setDraftMarkers(markers)
+        if (image === null) {
+          setDraftImage(null)
+        }
         setDraftColor(normalizedColor)
         setConfigInitialColor(normalizedColor)
-        applyNodeConfig({ label, externalLink, color: normalizedColor })
+        applyNodeConfig({ label, externalLink, color: normalizedColor, edgeLabel, tags, notes, task, markers, image })
         closeConfigPanel()
       }
 
@@ -480,9 +3802,32 @@ function App() {
     const initialData = {
       label: draftLabel ?? '',
       externalLink: draftExternalLink ?? '',
+      edgeLabel: draftEdgeLabel ?? '',
+      hasParent: typeof selectedNode?.parentId === 'string',
+      tags: draftTags,
+      availableTags: tagSummaries.map((tag) => tag.name),
+      notes: draftNotes ?? '',
+      task: draftTask,
+      assigneeNames,
+      markers: draftMarkers,
+      image: draftImage?.src ?? '',
       color: configInitialColor,
     }
 
+    const priorityMarkerMarkup = TASK_PRIORITIES.map(
+      (priority) =>
+        `<button type="button" class="marker-option" data-marker-priority="${priority.value}" style="--marker-color: ${PRIORITY_MARKER_COLORS[priority.value - 1]}" aria-pressed="false" title="Priorité ${priority.value} – ${priority.label}">${priority.value}</button>`,
+    ).join('')
+
+    const iconMarkerMarkup = MARKER_ICONS.map(
+      (icon) =>
+        `<button type="button" class="marker-option" data-marker-icon="${icon.value}" style="--marker-color: ${icon.color}" aria-pressed="false" title="${icon.label}">${icon.symbol}</button>`,
+    ).join('')
+
+    const emojiSuggestionMarkup = EMOJI_SUGGESTIONS.map(
+      (emoji) => `<button type="button" class="marker-option is-emoji" data-marker-emoji="${emoji}" aria-pressed="false">${emoji}</button>`,
+    ).join('')
+
     const colorOptionsMarkup = COLOR_PRESETS.map(
       (color) =>
         `<button type="button" class="color-swatch" data-color-value="${color}" style="--swatch-color: ${color}" aria-label="Choisir la couleur ${color}" aria-pressed="false"></button>`,
@@ -538,7 +3883,8 @@ function App() {
         color: rgba(15, 23, 42, 0.85);
       }
       textarea,
-      input[type='url'] {
+      input[type='url'],
+      input[type='text'] {
         width: 100%;
         border-radius: 18px;
         border: 1px solid rgba(148, 163, 184, 0.4);
@@ -553,8 +3899,201 @@ function App() {
         min-height: 180px;
         resize: vertical;
       }
+      .tag-editor {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+      }
+      #tag-list {
+        display: contents;
+      }
+      .notes-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+      }
+      .notes-toolbar button {
+        padding: 6px 12px;
+        font-size: 0.85rem;
+        background: rgba(148, 163, 184, 0.15);
+        color: rgba(15, 23, 42, 0.85);
+      }
+      .notes-toolbar button:hover {
+        background: rgba(148, 163, 184, 0.28);
+      }
+      .image-field {
+        display: flex;
+        align-items: center;
+        gap: 14px;
+      }
+      .image-field img {
+        max-width: 120px;
+        max-height: 80px;
+        border-radius: 10px;
+        box-shadow: 0 0 0 1px rgba(148, 163, 184, 0.4);
+      }
+      .image-field button {
+        padding: 6px 12px;
+        font-size: 0.85rem;
+        background: rgba(148, 163, 184, 0.15);
+        color: rgba(15, 23, 42, 0.85);
+      }
+      .image-field button:hover {
+        background: rgba(148, 163, 184, 0.28);
+      }
+      .image-field[hidden] {
+        display: none;
+      }
+      .image-field.is-removed img {
+        opacity: 0.35;
+      }
+      .field-note {
+        margin: 0;
+        font-size: 0.85rem;
+        color: rgba(15, 23, 42, 0.6);
+      }
+      .marker-rows {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+      }
+      .marker-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+      }
+      .marker-row-label {
+        width: 72px;
+        font-size: 0.85rem;
+        font-weight: 600;
+        color: rgba(15, 23, 42, 0.7);
+      }
+      .marker-option {
+        width: 34px;
+        height: 34px;
+        padding: 0;
+        border: 2px solid transparent;
+        background: rgba(148, 163, 184, 0.15);
+        color: var(--marker-color, #0f172a);
+        font-size: 1rem;
+        line-height: 1;
+      }
+      .marker-option[data-marker-priority] {
+        background: var(--marker-color);
+        color: #ffffff;
+        opacity: 0.45;
+      }
+      .marker-option:disabled {
+        opacity: 0.15;
+        cursor: not-allowed;
+        transform: none;
+      }
+      .marker-row-hint {
+        font-size: 0.8rem;
+        color: rgba(15, 23, 42, 0.55);
+      }
+      .marker-option.is-active {
+        border-color: rgba(15, 23, 42, 0.65);
+        box-shadow: 0 0 0 2px rgba(15, 23, 42, 0.12);
+        opacity: 1;
+      }
+      .marker-option:hover:not(:disabled) {
+        transform: translateY(-1px);
+      }
+      .marker-row input[type='text'] {
+        width: 80px;
+        padding: 6px 10px;
+        text-align: center;
+        font-size: 1.1rem;
+      }
+      .checkbox-field {
+        display: inline-flex;
+        align-items: center;
+        gap: 10px;
+        font-weight: 600;
+        font-size: 0.95rem;
+        color: rgba(15, 23, 42, 0.85);
+        cursor: pointer;
+      }
+      .checkbox-field input {
+        width: 18px;
+        height: 18px;
+        margin: 0;
+      }
+      .task-fields {
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        padding-left: 28px;
+      }
+      .task-fields[hidden] {
+        display: none;
+      }
+      .task-grid {
+        display: grid;
+        grid-template-columns: repeat(3, minmax(0, 1fr));
+        gap: 12px;
+      }
+      .task-grid label {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        font-size: 0.85rem;
+        font-weight: 600;
+        color: rgba(15, 23, 42, 0.7);
+      }
+      input[type='date'] {
+        width: 100%;
+        border-radius: 14px;
+        border: 1px solid rgba(148, 163, 184, 0.4);
+        padding: 10px 12px;
+        font: inherit;
+        color: inherit;
+        background: rgba(241, 245, 249, 0.6);
+      }
+      .task-grid input[type='text'] {
+        padding: 10px 12px;
+        border-radius: 14px;
+      }
+      textarea.notes-input {
+        min-height: 160px;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 0.9rem;
+        line-height: 1.5;
+      }
+      .tag-editor input[type='text'] {
+        flex: 1 1 160px;
+        width: auto;
+      }
+      .tag-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        padding: 6px 6px 6px 12px;
+        border-radius: 999px;
+        background: rgba(59, 130, 246, 0.12);
+        color: #1d4ed8;
+        font-size: 0.85rem;
+        font-weight: 600;
+      }
+      .tag-chip button {
+        width: 22px;
+        height: 22px;
+        padding: 0;
+        border-radius: 50%;
+        background: transparent;
+        color: inherit;
+        font-size: 1rem;
+        line-height: 1;
+      }
+      .tag-chip button:hover {
+        background: rgba(59, 130, 246, 0.18);
+      }
       textarea:focus,
-      input[type='url']:focus {
+      input[type='url']:focus,
+      input[type='text']:focus {
         outline: 3px solid rgba(59, 130, 246, 0.35);
         background: #ffffff;
       }
@@ -673,12 +4212,86 @@ function App() {
         <p>Modifiez le contenu du nœud et personnalisez-le visuellement.</p>
       </div>
       <div class="field-group">
-        <label for="node-label">Contenu du nœud</label>
-        <textarea id="node-label" placeholder="${PLACEHOLDER_LABEL}"></textarea>
+        <label for="node-label">Contenu du nœud</label>
+        <textarea id="node-label" placeholder="${PLACEHOLDER_LABEL}"></textarea>
+      </div>
+      <div class="field-group">
+        <label for="node-link">Lien externe</label>
+        <input type="url" id="node-link" placeholder="https://exemple.com" />
+      </div>
+      <div class="field-group">
+        <label for="node-notes">Notes</label>
+        <div class="notes-toolbar" role="toolbar" aria-label="Mise en forme des notes">
+          <button type="button" data-notes-action="bold" title="Gras (Ctrl+B)"><strong>G</strong></button>
+          <button type="button" data-notes-action="italic" title="Italique (Ctrl+I)"><em>I</em></button>
+          <button type="button" data-notes-action="heading">Titre</button>
+          <button type="button" data-notes-action="list">Liste</button>
+          <button type="button" data-notes-action="link">Lien</button>
+          <button type="button" data-notes-action="code">Code</button>
+        </div>
+        <textarea id="node-notes" class="notes-input" placeholder="Notes détaillées, au format Markdown…"></textarea>
+      </div>
+      <div class="field-group">
+        <span class="field-label">Image</span>
+        <div class="image-field" id="image-field" hidden>
+          <img id="node-image-preview" alt="Aperçu de l'image du nœud" />
+          <button type="button" id="image-remove">Retirer l'image</button>
+        </div>
+        <p class="field-note">Glissez ou collez une image sur le nœud pour l'afficher au-dessus de son contenu.</p>
+      </div>
+      <div class="field-group">
+        <span class="field-label">Marqueurs</span>
+        <div class="marker-rows">
+          <div class="marker-row" role="group" aria-label="Priorité">
+            <span class="marker-row-label">Priorité</span>
+            ${priorityMarkerMarkup}
+            <span class="marker-row-hint" id="marker-priority-hint">Pour les nœuds suivis comme tâche</span>
+          </div>
+          <div class="marker-row" role="group" aria-label="Icônes">
+            <span class="marker-row-label">Icônes</span>
+            ${iconMarkerMarkup}
+          </div>
+          <div class="marker-row" role="group" aria-label="Emoji">
+            <span class="marker-row-label">Emoji</span>
+            <input type="text" id="marker-emoji" maxlength="16" aria-label="Emoji" />
+            ${emojiSuggestionMarkup}
+          </div>
+        </div>
+      </div>
+      <div class="field-group">
+        <label class="checkbox-field" for="task-enabled">
+          <input type="checkbox" id="task-enabled" />
+          Suivre comme tâche
+        </label>
+        <div class="task-fields" id="task-fields">
+          <label class="checkbox-field" for="task-done">
+            <input type="checkbox" id="task-done" />
+            Terminée
+          </label>
+          <div class="task-grid">
+            <label for="task-due">
+              Échéance
+              <input type="date" id="task-due" />
+            </label>
+            <label for="task-assignee">
+              Responsable
+              <input type="text" id="task-assignee" list="assignee-suggestions" maxlength="60" />
+            </label>
+          </div>
+          <datalist id="assignee-suggestions"></datalist>
+        </div>
+      </div>
+      <div class="field-group" id="edge-label-group">
+        <label for="node-edge-label">Texte de la liaison</label>
+        <input type="text" id="node-edge-label" maxlength="60" placeholder="ex. parce que, mène à…" />
       </div>
       <div class="field-group">
-        <label for="node-link">Lien externe</label>
-        <input type="url" id="node-link" placeholder="https://exemple.com" />
+        <label for="node-tag-input">Étiquettes</label>
+        <div class="tag-editor">
+          <div id="tag-list"></div>
+          <input type="text" id="node-tag-input" list="tag-suggestions" maxlength="${MAX_TAG_LENGTH}" placeholder="Ajouter une étiquette…" />
+          <datalist id="tag-suggestions"></datalist>
+        </div>
       </div>
       <div class="field-group">
         <span class="field-label">Couleur</span>
@@ -700,9 +4313,23 @@ function App() {
     <script>
       ;(function () {
         const DEFAULT_COLOR = '${DEFAULT_NODE_COLOR}'
-        const initialData = ${JSON.stringify(initialData)}
+        const initialData = ${JSON.stringify(initialData).replace(/</g, '\\u003c')}
         const textarea = document.getElementById('node-label')
         const linkInput = document.getElementById('node-link')
+        const edgeLabelInput = document.getElementById('node-edge-label')
+        const tagList = document.getElementById('tag-list')
+        const tagInput = document.getElementById('node-tag-input')
+        const tagSuggestions = document.getElementById('tag-suggestions')
+        const notesInput = document.getElementById('node-notes')
+        const taskEnabledInput = document.getElementById('task-enabled')
+        const emojiInput = document.getElementById('marker-emoji')
+        const priorityOptions = Array.from(document.querySelectorAll('[data-marker-priority]'))
+        const iconOptions = Array.from(document.querySelectorAll('[data-marker-icon]'))
+        const emojiOptions = Array.from(document.querySelectorAll('[data-marker-emoji]'))
+        const taskFields = document.getElementById('task-fields')
+        const taskDoneInput = document.getElementById('task-done')
+        const taskDueInput = document.getElementById('task-due')
+        const taskAssigneeInput = document.getElementById('task-assignee')
         const colorPicker = document.getElementById('color-picker')
         const colorButton = document.getElementById('color-button')
         const colorPalette = document.getElementById('color-palette')
@@ -750,6 +4377,178 @@ function App() {
         if (linkInput) {
           linkInput.value = initialData.externalLink || ''
         }
+        edgeLabelInput.value = initialData.edgeLabel || ''
+        if (!initialData.hasParent) {
+          document.getElementById('edge-label-group').hidden = true
+        }
+
+        notesInput.value = initialData.notes || ''
+
+        const imageField = document.getElementById('image-field')
+        const imageRemoveButton = document.getElementById('image-remove')
+        let removeImage = false
+        if (initialData.image) {
+          document.getElementById('node-image-preview').src = initialData.image
+          imageField.hidden = false
+        }
+        imageRemoveButton.addEventListener('click', () => {
+          removeImage = !removeImage
+          imageField.classList.toggle('is-removed', removeImage)
+          imageRemoveButton.textContent = removeImage ? "Conserver l'image" : "Retirer l'image"
+        })
+
+        const initialMarkers = initialData.markers || { icons: [], emoji: '' }
+        let markerPriority = initialData.task ? initialData.task.priority : 0
+        const markerIcons = new Set(initialMarkers.icons)
+        emojiInput.value = initialMarkers.emoji
+
+        const setPressed = (option, isActive) => {
+          option.classList.toggle('is-active', isActive)
+          option.setAttribute('aria-pressed', isActive ? 'true' : 'false')
+        }
+        const renderMarkers = () => {
+          priorityOptions.forEach((option) => {
+            option.disabled = !taskEnabledInput.checked
+            setPressed(option, Number(option.getAttribute('data-marker-priority')) === markerPriority)
+          })
+          document.getElementById('marker-priority-hint').hidden = taskEnabledInput.checked
+          iconOptions.forEach((option) => {
+            setPressed(option, markerIcons.has(option.getAttribute('data-marker-icon')))
+          })
+          emojiOptions.forEach((option) => {
+            setPressed(option, option.getAttribute('data-marker-emoji') === emojiInput.value.trim())
+          })
+        }
+        priorityOptions.forEach((option) => {
+          option.addEventListener('click', () => {
+            const value = Number(option.getAttribute('data-marker-priority'))
+            markerPriority = markerPriority === value ? 0 : value
+            renderMarkers()
+          })
+        })
+        iconOptions.forEach((option) => {
+          option.addEventListener('click', () => {
+            const value = option.getAttribute('data-marker-icon')
+            if (markerIcons.has(value)) {
+              markerIcons.delete(value)
+            } else {
+              markerIcons.add(value)
+            }
+            renderMarkers()
+          })
+        })
+        emojiOptions.forEach((option) => {
+          option.addEventListener('click', () => {
+            const value = option.getAttribute('data-marker-emoji')
+            emojiInput.value = emojiInput.value.trim() === value ? '' : value
+            renderMarkers()
+          })
+        })
+        emojiInput.addEventListener('input', renderMarkers)
+
+        const initialTask = initialData.task
+        taskEnabledInput.checked = Boolean(initialTask)
+        taskFields.hidden = !initialTask
+        taskDoneInput.checked = Boolean(initialTask && initialTask.done)
+        taskDueInput.value = initialTask ? initialTask.dueDate : ''
+        taskAssigneeInput.value = initialTask ? initialTask.assignee : ''
+        document.getElementById('assignee-suggestions').replaceChildren(
+          ...initialData.assigneeNames.map((name) => {
+            const option = document.createElement('option')
+            option.value = name
+            return option
+          }),
+        )
+        renderMarkers()
+        taskEnabledInput.addEventListener('change', () => {
+          taskFields.hidden = !taskEnabledInput.checked
+          renderMarkers()
+        })
+
+        const wrapNotesSelection = (before, after, placeholder) => {
+          const { selectionStart, selectionEnd, value } = notesInput
+          const selected = value.slice(selectionStart, selectionEnd) || placeholder
+          notesInput.setRangeText(before + selected + after, selectionStart, selectionEnd)
+          notesInput.setSelectionRange(selectionStart + before.length, selectionStart + before.length + selected.length)
+          notesInput.focus()
+        }
+
+        const prefixNotesLines = (prefix) => {
+          const { selectionStart, selectionEnd, value } = notesInput
+          const lineStart = value.lastIndexOf('\\n', selectionStart - 1) + 1
+          const nextBlock = value
+            .slice(lineStart, selectionEnd)
+            .split('\\n')
+            .map((line) => (line.startsWith(prefix) ? line : prefix + line))
+            .join('\\n')
+          notesInput.setRangeText(nextBlock, lineStart, selectionEnd, 'end')
+          notesInput.focus()
+        }
+
+        const notesActions = {
+          bold: () => wrapNotesSelection('**', '**', 'texte en gras'),
+          italic: () => wrapNotesSelection('*', '*', 'texte en italique'),
+          heading: () => prefixNotesLines('## '),
+          list: () => prefixNotesLines('- '),
+          link: () => wrapNotesSelection('[', '](https://)', 'texte du lien'),
+          code: () => wrapNotesSelection('\`', '\`', 'code'),
+        }
+
+        document.querySelectorAll('[data-notes-action]').forEach((button) => {
+          button.addEventListener('click', (event) => {
+            event.preventDefault()
+            notesActions[button.getAttribute('data-notes-action')]()
+          })
+        })
+
+        let tags = initialData.tags.slice()
+
+        const renderTags = () => {
+          tagList.replaceChildren(
+            ...tags.map((tag) => {
+              const chip = document.createElement('span')
+              chip.className = 'tag-chip'
+              chip.textContent = tag
+              const removeButton = document.createElement('button')
+              removeButton.type = 'button'
+              removeButton.textContent = '×'
+              removeButton.setAttribute('aria-label', 'Retirer l’étiquette ' + tag)
+              removeButton.addEventListener('click', () => {
+                tags = tags.filter((item) => item !== tag)
+                renderTags()
+              })
+              chip.appendChild(removeButton)
+              return chip
+            }),
+          )
+          const usedTags = new Set(tags.map((tag) => tag.toLocaleLowerCase()))
+          tagSuggestions.replaceChildren(
+            ...initialData.availableTags
+              .filter((tag) => !usedTags.has(tag.toLocaleLowerCase()))
+              .map((tag) => {
+                const option = document.createElement('option')
+                option.value = tag
+                return option
+              }),
+          )
+        }
+
+        const addTag = (value) => {
+          const tag = value.replace(/\\s+/g, ' ').trim().replace(/^#+\\s*/, '').slice(0, ${MAX_TAG_LENGTH})
+          if (!tag) return
+          const key = tag.toLocaleLowerCase()
+          if (tags.some((item) => item.toLocaleLowerCase() === key)) return
+          const existing = initialData.availableTags.find((item) => item.toLocaleLowerCase() === key)
+          tags = [...tags, existing || tag]
+        }
+
+        const commitTagInput = () => {
+          tagInput.value.split(',').forEach(addTag)
+          tagInput.value = ''
+          renderTags()
+        }
+
+        renderTags()
 
         textarea.focus()
         textarea.setSelectionRange(textarea.value.length, textarea.value.length)
@@ -785,12 +4584,27 @@ function App() {
           })
         })
 
-        const handleSave = () =>
+        const handleSave = () => {
+          commitTagInput()
           send('config-save', {
             label: textarea.value,
             externalLink: linkInput ? linkInput.value : '',
+            edgeLabel: initialData.hasParent ? edgeLabelInput.value : undefined,
+            tags,
+            notes: notesInput.value,
+            markers: { icons: Array.from(markerIcons), emoji: emojiInput.value },
+            removeImage,
+            task: taskEnabledInput.checked
+              ? {
+                  done: taskDoneInput.checked,
+                  dueDate: taskDueInput.value,
+                  assignee: taskAssigneeInput.value,
+                  priority: markerPriority,
+                }
+              : null,
             color: currentColor,
           })
+        }
 
         document.getElementById('cancel').addEventListener('click', () => {
           closePalette()
@@ -817,21 +4631,70 @@ function App() {
         if (linkInput) {
           linkInput.addEventListener('keydown', handleKeyDown)
         }
+        edgeLabelInput.addEventListener('keydown', handleKeyDown)
+        taskAssigneeInput.addEventListener('keydown', handleKeyDown)
+        emojiInput.addEventListener('keydown', handleKeyDown)
+        notesInput.addEventListener('keydown', (event) => {
+          const key = event.key.toLowerCase()
+          if ((event.metaKey || event.ctrlKey) && !event.shiftKey && (key === 'b' || key === 'i')) {
+            event.preventDefault()
+            notesActions[key === 'b' ? 'bold' : 'italic']()
+            return
+          }
+          handleKeyDown(event)
+        })
+        tagInput.addEventListener('keydown', (event) => {
+          if ((event.key === 'Enter' && !event.metaKey && !event.ctrlKey) || event.key === ',') {
+            event.preventDefault()
+            commitTagInput()
+            return
+          }
+          if (event.key === 'Backspace' && tagInput.value.length === 0 && tags.length > 0) {
+            tags = tags.slice(0, -1)
+            renderTags()
+            return
+          }
+          handleKeyDown(event)
+        })
       })()
     </script>
   </body>
 </html>`
-  }, [configInitialColor, draftExternalLink, draftLabel])
+  }, [
+    assigneeNames,
+    configInitialColor,
+    draftEdgeLabel,
+    draftExternalLink,
+    draftImage,
+    draftLabel,
+    draftMarkers,
+    draftNotes,
+    draftTags,
+    draftTask,
+    selectedNode?.parentId,
+    tagSummaries,
+  ])
 
   const handleCanvasClick = useCallback(() => {
+    setIsExportMenuOpen(false)
+    setIsViewMenuOpen(false)
     if (panStateRef.current.moved) {
       panStateRef.current.moved = false
       return
     }
+    if (pendingReparent) {
+      setPendingReparent(false)
+      return
+    }
+    if (pendingRelationSourceId) {
+      setPendingRelationSourceId(null)
+      return
+    }
+    setSelectedRelationId(null)
     if (rootNode) {
       setSelectedId(rootNode.id)
     }
-  }, [rootNode])
+  }, [pendingRelationSourceId, pendingReparent, rootNode, setSelectedId])
 
   const getSvgPoint = useCallback((clientX, clientY) => {
     const svg = svgRef.current
@@ -858,6 +4721,28 @@ function App() {
 
       const svg = svgRef.current
       if (!svg) return
+      svg.focus({ preventScroll: true })
+
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+        const point = getSvgPoint(event.clientX, event.clientY)
+        const { viewTransform: currentView } = mapStateRef.current
+        const start = {
+          x: (point.x - currentView.x) / currentView.scale,
+          y: (point.y - currentView.y) / currentView.scale,
+        }
+        marqueeStateRef.current = {
+          pointerId: event.pointerId,
+          start,
+          additive: event.ctrlKey || event.metaKey,
+        }
+        setMarquee({ x1: start.x, y1: start.y, x2: start.x, y2: start.y })
+        try {
+          svg.setPointerCapture(event.pointerId)
+        } catch {
+          // ignore capture errors
+        }
+        return
+      }
 
       panStateRef.current.isPanning = true
       panStateRef.current.pointerId = event.pointerId
@@ -870,11 +4755,24 @@ function App() {
         // ignore capture errors
       }
     },
-    [],
+    [getSvgPoint],
   )
 
   const handlePointerMove = useCallback(
     (event) => {
+      const marqueeState = marqueeStateRef.current
+      if (marqueeState && marqueeState.pointerId === event.pointerId) {
+        const point = getSvgPoint(event.clientX, event.clientY)
+        const { viewTransform: currentView } = mapStateRef.current
+        setMarquee({
+          x1: marqueeState.start.x,
+          y1: marqueeState.start.y,
+          x2: (point.x - currentView.x) / currentView.scale,
+          y2: (point.y - currentView.y) / currentView.scale,
+        })
+        return
+      }
+
       if (!panStateRef.current.isPanning) return
 
       const svg = svgRef.current
@@ -898,7 +4796,54 @@ function App() {
       panStateRef.current.last = { x: event.clientX, y: event.clientY }
       panStateRef.current.moved = true
     },
-    [],
+    [getSvgPoint],
+  )
+
+  const finishMarquee = useCallback(
+    (pointerId, shouldSelect) => {
+      const marqueeState = marqueeStateRef.current
+      if (!marqueeState) return
+      marqueeStateRef.current = null
+      const svg = svgRef.current
+      if (svg) {
+        try {
+          svg.releasePointerCapture(pointerId)
+        } catch {
+          // ignore release errors
+        }
+      }
+      const area = marquee
+      setMarquee(null)
+      if (!shouldSelect || !area) return
+
+      const left = Math.min(area.x1, area.x2)
+      const right = Math.max(area.x1, area.x2)
+      const top = Math.min(area.y1, area.y2)
+      const bottom = Math.max(area.y1, area.y2)
+      if (right - left < 2 && bottom - top < 2) return
+
+      panStateRef.current.moved = true
+      const hits = nodes
+        .filter((node) => {
+          const position = positions[node.id]
+          if (!position) return false
+          const size = nodeSizes[node.id] ?? DEFAULT_NODE_SIZE
+          return (
+            position.x + size.width / 2 >= left &&
+            position.x - size.width / 2 <= right &&
+            position.y + size.height / 2 >= top &&
+            position.y - size.height / 2 <= bottom
+          )
+        })
+        .map((node) => node.id)
+
+      setSelection((prev) => {
+        const ids = marqueeState.additive ? [...prev.ids, ...hits.filter((id) => !prev.ids.includes(id))] : hits
+        if (ids.length === 0) return prev
+        return { primaryId: hits.length > 0 ? hits[hits.length - 1] : prev.primaryId, ids }
+      })
+    },
+    [marquee, nodeSizes, nodes, positions],
   )
 
   const endPan = useCallback(() => {
@@ -918,16 +4863,27 @@ function App() {
 
   const handlePointerUp = useCallback(
     (event) => {
+      if (marqueeStateRef.current?.pointerId === event.pointerId) {
+        finishMarquee(event.pointerId, true)
+        return
+      }
       if (!panStateRef.current.isPanning || event.pointerId !== panStateRef.current.pointerId) return
       endPan()
     },
-    [endPan],
+    [endPan, finishMarquee],
   )
 
-  const handlePointerLeave = useCallback(() => {
-    if (!panStateRef.current.isPanning) return
-    endPan()
-  }, [endPan])
+  const handlePointerLeave = useCallback(
+    (event) => {
+      if (marqueeStateRef.current) {
+        finishMarquee(event.pointerId, false)
+        return
+      }
+      if (!panStateRef.current.isPanning) return
+      endPan()
+    },
+    [endPan, finishMarquee],
+  )
 
   const handleWheel = useCallback(
     (event) => {
@@ -973,33 +4929,73 @@ function App() {
     (event, node) => {
       event.stopPropagation()
       if (event.button !== 0) return
-      setSelectedId(node.id)
+      if (pendingReparent) return
 
-      if (node.id === rootNode?.id) {
+      const isNoDragTarget = event.target instanceof Element && event.target.closest('[data-no-drag="true"]')
+      if ((event.shiftKey || event.ctrlKey || event.metaKey) && !isNoDragTarget) {
+        event.preventDefault()
+        toggleNodeSelection(node.id)
+        suppressNodeClickRef.current = true
         return
       }
 
-      if (event.target instanceof Element && event.target.closest('[data-no-drag="true"]')) {
+      const isInGroup = isMultiSelection && selectedIdSet.has(node.id)
+      if (isInGroup) {
+        setSelection((prev) => (prev.primaryId === node.id ? prev : { ...prev, primaryId: node.id }))
+      } else {
+        setSelectedId(node.id)
+      }
+
+      if (isNoDragTarget) {
         return
       }
 
-      const nodePosition = positions[node.id]
-      if (!nodePosition) return
+      const draggedIds = (isInGroup ? selection.ids : [node.id]).filter((id) => id !== rootNode?.id)
+      if (draggedIds.length === 0) {
+        return
+      }
+
+      const startPositions = {}
+      draggedIds.forEach((id) => {
+        const position = positions[id]
+        if (position) {
+          startPositions[id] = { x: position.x, y: position.y }
+        }
+      })
+      if (Object.keys(startPositions).length === 0) return
       const svgPoint = convertPointerToSvgPoint(event)
       if (!svgPoint) return
 
+      const branchIds = new Set()
+      Object.keys(startPositions).forEach((id) => {
+        getBranchToDelete(nodes, id).forEach((branchId) => branchIds.add(branchId))
+      })
+
       dragStateRef.current = {
         nodeId: node.id,
         pointerId: event.pointerId,
         startPointer: svgPoint,
-        startPosition: { x: nodePosition.x, y: nodePosition.y },
+        startPositions,
+        branchIds,
+        hasMoved: false,
       }
 
-      setDraggingNodeId(node.id)
+      setDraggingNodeIds(Object.keys(startPositions))
       event.currentTarget.setPointerCapture?.(event.pointerId)
       event.preventDefault()
     },
-    [convertPointerToSvgPoint, positions, rootNode],
+    [
+      convertPointerToSvgPoint,
+      isMultiSelection,
+      nodes,
+      pendingReparent,
+      positions,
+      rootNode,
+      selectedIdSet,
+      selection.ids,
+      setSelectedId,
+      toggleNodeSelection,
+    ],
   )
 
   const handleNodePointerMove = useCallback(
@@ -1017,30 +5013,149 @@ function App() {
 
       const deltaX = svgPoint.x - dragState.startPointer.x
       const deltaY = svgPoint.y - dragState.startPointer.y
-      const nextPosition = {
-        x: dragState.startPosition.x + deltaX,
-        y: dragState.startPosition.y + deltaY,
+
+      if (!dragState.hasMoved) {
+        if (deltaX === 0 && deltaY === 0) return
+        dragState.hasMoved = true
+        recordHistory()
       }
 
-      setCustomPositions((prev) => {
-        const previous = prev[dragState.nodeId]
-        if (previous && previous.x === nextPosition.x && previous.y === nextPosition.y) {
-          return prev
-        }
-        return {
-          ...prev,
-          [dragState.nodeId]: nextPosition,
+      const { viewTransform: currentView } = mapStateRef.current
+      const pointer = {
+        x: (svgPoint.x - currentView.x) / currentView.scale,
+        y: (svgPoint.y - currentView.y) / currentView.scale,
+      }
+      let nextDropTarget = null
+      for (let index = nodes.length - 1; index >= 0; index -= 1) {
+        const candidate = nodes[index]
+        if (candidate.id in dragState.startPositions) continue
+        const position = positions[candidate.id]
+        if (!position) continue
+        const size = nodeSizes[candidate.id] ?? DEFAULT_NODE_SIZE
+        if (
+          Math.abs(pointer.x - position.x) <= size.width / 2 &&
+          Math.abs(pointer.y - position.y) <= size.height / 2
+        ) {
+          nextDropTarget = { id: candidate.id, isValid: !dragState.branchIds.has(candidate.id) }
+          break
         }
+      }
+      const previousDropTarget = dropTargetRef.current
+      if (
+        previousDropTarget?.id !== nextDropTarget?.id ||
+        previousDropTarget?.isValid !== nextDropTarget?.isValid
+      ) {
+        dropTargetRef.current = nextDropTarget
+        setDropTarget(nextDropTarget)
+      }
+
+      setCustomPositions((prev) => {
+        let next = prev
+        Object.entries(dragState.startPositions).forEach(([id, startPosition]) => {
+          const origin = layoutPositions[id]
+          if (!origin) return
+          const nextOffset = {
+            dx: startPosition.x + deltaX - origin.x,
+            dy: startPosition.y + deltaY - origin.y,
+          }
+          const previous = prev[id]
+          if (previous && previous.dx === nextOffset.dx && previous.dy === nextOffset.dy) {
+            return
+          }
+          if (next === prev) {
+            next = { ...prev }
+          }
+          next[id] = nextOffset
+        })
+        return next
+      })
+    },
+    [convertPointerToSvgPoint, layoutPositions, nodeSizes, nodes, positions, recordHistory],
+  )
+
+  const handleRelationHandlePointerDown = useCallback((event, relationId, index) => {
+    if (event.button !== 0) return
+    event.stopPropagation()
+    event.preventDefault()
+    relationDragRef.current = { relationId, index, pointerId: event.pointerId, hasMoved: false }
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+  }, [])
+
+  const handleRelationHandlePointerMove = useCallback(
+    (event) => {
+      const dragState = relationDragRef.current
+      if (!dragState || dragState.pointerId !== event.pointerId) return
+      const svgPoint = convertPointerToSvgPoint(event)
+      if (!svgPoint) return
+      event.stopPropagation()
+      event.preventDefault()
+
+      const { viewTransform: currentView, relations: currentRelations } = mapStateRef.current
+      const relation = currentRelations.find((item) => item.id === dragState.relationId)
+      const geometry = relation ? getRelationGeometry(relation, positions, nodeSizes) : null
+      if (!geometry) return
+      if (!dragState.hasMoved) {
+        dragState.hasMoved = true
+        recordHistory()
+      }
+
+      const pointer = {
+        x: (svgPoint.x - currentView.x) / currentView.scale,
+        y: (svgPoint.y - currentView.y) / currentView.scale,
+      }
+      const controls = geometry.controls.map((control, index) => {
+        const point = index === dragState.index ? pointer : control
+        return { x: point.x - geometry.anchors[index].x, y: point.y - geometry.anchors[index].y }
       })
+      setRelations((prev) => prev.map((item) => (item.id === relation.id ? { ...item, controls } : item)))
     },
-    [convertPointerToSvgPoint],
+    [convertPointerToSvgPoint, nodeSizes, positions, recordHistory],
   )
 
+  const handleRelationHandlePointerUp = useCallback((event) => {
+    const dragState = relationDragRef.current
+    if (!dragState || dragState.pointerId !== event.pointerId) return
+    event.stopPropagation()
+    event.currentTarget.releasePointerCapture?.(event.pointerId)
+    relationDragRef.current = null
+  }, [])
+
   const endDragging = useCallback(() => {
+    if (dragStateRef.current?.hasMoved) {
+      suppressNodeClickRef.current = true
+    }
     dragStateRef.current = null
-    setDraggingNodeId(null)
+    dropTargetRef.current = null
+    setDraggingNodeIds([])
+    setDropTarget(null)
   }, [])
 
+  const handleNodeClick = useCallback(
+    (event, node) => {
+      event.stopPropagation()
+      if (pendingReparent) {
+        if (reparentSelection(node.id)) {
+          setPendingReparent(false)
+        }
+        return
+      }
+      if (pendingRelationSourceId) {
+        if (createRelation(pendingRelationSourceId, node.id)) {
+          setPendingRelationSourceId(null)
+        }
+        return
+      }
+      if (suppressNodeClickRef.current) {
+        suppressNodeClickRef.current = false
+        return
+      }
+      setSelectedRelationId(null)
+      if (event.shiftKey || event.ctrlKey || event.metaKey) return
+      setSelectedId(node.id)
+    },
+    [createRelation, pendingRelationSourceId, pendingReparent, reparentSelection, setSelectedId],
+  )
+
   const handleNodePointerUp = useCallback(
     (event) => {
       const dragState = dragStateRef.current
@@ -1051,6 +5166,15 @@ function App() {
       event.stopPropagation()
       event.preventDefault()
       event.currentTarget.releasePointerCapture?.(event.pointerId)
+
+      const target = dropTargetRef.current
+      if (dragState.hasMoved && target?.isValid) {
+        const result = reparentBranches(mapStateRef.current.nodes, Object.keys(dragState.startPositions), target.id)
+        if (result) {
+          setNodes(result.nodes)
+          setCustomPositions((prev) => omitCustomPositions(prev, result.branchIds))
+        }
+      }
       endDragging()
     },
     [endDragging],
@@ -1089,80 +5213,50 @@ function App() {
       nodes,
       customPositions,
       viewTransform,
+      layout: layoutEngine,
+      connectorStyle,
+      relations,
+      tagColors,
     }
     const json = JSON.stringify(payload, null, 2)
     const filename = getDefaultFilename(rootNode?.label)
-    const blob = new Blob([json], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = filename
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
-    URL.revokeObjectURL(url)
-  }, [customPositions, nodes, rootNode?.label, viewTransform])
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename)
+  }, [connectorStyle, customPositions, layoutEngine, nodes, relations, rootNode?.label, tagColors, viewTransform])
+
+  const handleExportMarkdown = useCallback(() => {
+    const markdown = buildMarkdownOutline(nodes)
+    if (markdown.length === 0) {
+      window.alert('Aucun contenu à exporter en Markdown.')
+      return
+    }
+    const filename = getDefaultFilename(rootNode?.label, 'md')
+    downloadBlob(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), filename)
+  }, [nodes, rootNode?.label])
+
+  const handleExportOpml = useCallback(() => {
+    const opml = buildOpmlDocument(nodes)
+    if (opml.length === 0) {
+      window.alert('Aucun contenu à exporter en OPML.')
+      return
+    }
+    const filename = getDefaultFilename(rootNode?.label, 'opml')
+    downloadBlob(new Blob([opml], { type: 'text/x-opml;charset=utf-8' }), filename)
+  }, [nodes, rootNode?.label])
+
+  const handleExportFreeMind = useCallback(() => {
+    const mindMap = buildFreeMindDocument(nodes, positions)
+    if (mindMap.length === 0) {
+      window.alert('Aucun contenu à exporter au format FreeMind.')
+      return
+    }
+    const filename = getDefaultFilename(rootNode?.label, 'mm')
+    downloadBlob(new Blob([mindMap], { type: 'application/x-freemind;charset=utf-8' }), filename)
+  }, [nodes, positions, rootNode?.label])
 
   const handleExportPdf = useCallback(async () => {
     if (typeof window === 'undefined') return
     try {
-      const { jsPDF } = await import('jspdf')
-      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a3' })
-      const pageWidth = pdf.internal.pageSize.getWidth()
-      const pageHeight = pdf.internal.pageSize.getHeight()
-      const margin = 20
-
-      if (typeof document !== 'undefined') {
-        const backgroundCanvas = document.createElement('canvas')
-        const referenceWidth = 2048
-        backgroundCanvas.width = referenceWidth
-        backgroundCanvas.height = Math.round(referenceWidth * (pageHeight / pageWidth))
-        const ctx = backgroundCanvas.getContext('2d')
-
-        if (ctx) {
-          const { width, height } = backgroundCanvas
-
-          ctx.fillStyle = '#f8fafc'
-          ctx.fillRect(0, 0, width, height)
-
-          const baseGradient = ctx.createRadialGradient(
-            width / 2,
-            height * 0.1,
-            width * 0.1,
-            width / 2,
-            height / 2,
-            Math.max(width, height),
-          )
-          baseGradient.addColorStop(0, '#f8fafc')
-          baseGradient.addColorStop(1, '#e2e8f0')
-          ctx.fillStyle = baseGradient
-          ctx.fillRect(0, 0, width, height)
-
-          const overlayGradient = ctx.createRadialGradient(
-            width / 2,
-            height / 2,
-            width * 0.1,
-            width / 2,
-            height / 2,
-            Math.max(width, height) * 0.75,
-          )
-          overlayGradient.addColorStop(0, 'rgba(148, 163, 184, 0.18)')
-          overlayGradient.addColorStop(1, 'rgba(148, 163, 184, 0.05)')
-          ctx.fillStyle = overlayGradient
-          ctx.fillRect(0, 0, width, height)
-
-          const backgroundDataUrl = backgroundCanvas.toDataURL('image/png')
-          pdf.addImage(backgroundDataUrl, 'PNG', 0, 0, pageWidth, pageHeight)
-        } else {
-          pdf.setFillColor(248, 250, 252)
-          pdf.rect(0, 0, pageWidth, pageHeight, 'F')
-        }
-      } else {
-        pdf.setFillColor(248, 250, 252)
-        pdf.rect(0, 0, pageWidth, pageHeight, 'F')
-      }
-
-      const nodesWithPosition = nodes
+      const nodesWithPosition = visibleNodes
         .map((node) => {
           const position = positions[node.id]
           if (!position) return null
@@ -1176,129 +5270,546 @@ function App() {
         return
       }
 
-      let minX = Infinity
-      let maxX = -Infinity
-      let minY = Infinity
-      let maxY = -Infinity
-
-      nodesWithPosition.forEach(({ position, size }) => {
-        const halfWidth = size.width / 2
-        const halfHeight = size.height / 2
-        minX = Math.min(minX, position.x - halfWidth)
-        maxX = Math.max(maxX, position.x + halfWidth)
-        minY = Math.min(minY, position.y - halfHeight)
-        maxY = Math.max(maxY, position.y + halfHeight)
-      })
-
-      nodes.forEach((node) => {
-        if (node.parentId === null) return
-        const parentPosition = positions[node.parentId]
-        const nodePosition = positions[node.id]
-        if (!parentPosition || !nodePosition) return
-        minX = Math.min(minX, parentPosition.x, nodePosition.x)
-        maxX = Math.max(maxX, parentPosition.x, nodePosition.x)
-        minY = Math.min(minY, parentPosition.y, nodePosition.y)
-        maxY = Math.max(maxY, parentPosition.y, nodePosition.y)
+      const bounds = computeContentBounds(visibleNodes, positions, nodeSizes, {
+        relationGeometries,
+        measureText: createTextMeasurer(NODE_TEXT_FONT),
       })
-
-      if (!Number.isFinite(minX) || !Number.isFinite(maxX) || !Number.isFinite(minY) || !Number.isFinite(maxY)) {
+      if (!bounds) {
         window.alert('Impossible de déterminer la zone à exporter.')
         return
       }
+      const { minX, maxX, minY, maxY } = bounds
+
+      const { format, orientation, minFontSize } = pdfExportOptions
+      const { jsPDF } = await import('jspdf')
+      const pdf = new jsPDF({ orientation, unit: 'mm', format })
+      const pageWidth = pdf.internal.pageSize.getWidth()
+      const pageHeight = pdf.internal.pageSize.getHeight()
+      const margin = 20
+      const backgroundDataUrl = createPdfBackgroundDataUrl(pageWidth, pageHeight)
 
       const contentWidth = Math.max(maxX - minX, 1)
       const contentHeight = Math.max(maxY - minY, 1)
 
       const availableWidth = pageWidth - margin * 2
       const availableHeight = pageHeight - margin * 2
-      const scale = Math.min(availableWidth / contentWidth, availableHeight / contentHeight)
+
+      const PT_PER_MM = 72 / 25.4
+      const baseFontSizePx = 16.8
+      const lineHeightFactor = 1.3
+
+      const fitScale = Math.min(availableWidth / contentWidth, availableHeight / contentHeight)
+      const minimumScale = minFontSize > 0 ? minFontSize / (baseFontSizePx * PT_PER_MM) : 0
+      const scale = Math.max(fitScale, minimumScale)
 
       const contentWidthScaled = contentWidth * scale
       const contentHeightScaled = contentHeight * scale
-      const offsetX = margin + (availableWidth - contentWidthScaled) / 2
-      const offsetY = margin + (availableHeight - contentHeightScaled) / 2
-
-      const convertX = (value) => offsetX + (value - minX) * scale
-      const convertY = (value) => offsetY + (value - minY) * scale
-
-      pdf.setLineJoin('round')
-      pdf.setLineCap('round')
-      pdf.setDrawColor(15, 23, 42)
-
-      const connectionWidth = 3 * scale
-      pdf.setLineWidth(connectionWidth)
-      nodes.forEach((node) => {
-        if (node.parentId === null) return
-        const parentPosition = positions[node.parentId]
-        const nodePosition = positions[node.id]
-        if (!parentPosition || !nodePosition) return
-        pdf.line(convertX(parentPosition.x), convertY(parentPosition.y), convertX(nodePosition.x), convertY(nodePosition.y))
-      })
+      const stepX = availableWidth - PDF_TILE_OVERLAP
+      const stepY = availableHeight - PDF_TILE_OVERLAP
+      const columns =
+        contentWidthScaled > availableWidth ? Math.ceil((contentWidthScaled - PDF_TILE_OVERLAP) / stepX) : 1
+      const rows =
+        contentHeightScaled > availableHeight ? Math.ceil((contentHeightScaled - PDF_TILE_OVERLAP) / stepY) : 1
+      const isTiled = columns > 1 || rows > 1
+      const pageCount = columns * rows
+
+      const getTileOffset = (index, count, available, contentScaled, step) =>
+        count === 1 ? (available - contentScaled) / 2 : -index * step
+      const getTileIndex = (value, origin, count, step) =>
+        count === 1 ? 0 : Math.min(Math.max(Math.floor(((value - origin) * scale) / step), 0), count - 1)
+
+      const drawBackground = () => {
+        if (backgroundDataUrl) {
+          pdf.addImage(backgroundDataUrl, 'PNG', 0, 0, pageWidth, pageHeight, 'map-background')
+        } else {
+          pdf.setFillColor(248, 250, 252)
+          pdf.rect(0, 0, pageWidth, pageHeight, 'F')
+        }
+      }
+
+      const drawMapContent = (convertX, convertY) => {
+        pdf.setLineJoin('round')
+        pdf.setLineCap('round')
+        pdf.setDrawColor(15, 23, 42)
+
+        const connectionWidth = 3 * scale
+        pdf.setLineWidth(connectionWidth)
+        pdf.setFillColor(15, 23, 42)
+        const tracePath = (segments) => {
+          segments.forEach((segment) => {
+            if (segment.type === 'M') {
+              pdf.moveTo(convertX(segment.x), convertY(segment.y))
+            } else if (segment.type === 'L') {
+              pdf.lineTo(convertX(segment.x), convertY(segment.y))
+            } else if (segment.type === 'C') {
+              pdf.curveTo(
+                convertX(segment.x1),
+                convertY(segment.y1),
+                convertX(segment.x2),
+                convertY(segment.y2),
+                convertX(segment.x),
+                convertY(segment.y),
+              )
+            } else if (segment.type === 'Z') {
+              pdf.close()
+            }
+          })
+        }
+
+        connections.forEach((connection) => {
+          tracePath(connection.segments)
+          if (connection.isFilled) {
+            pdf.fill()
+          } else {
+            pdf.stroke()
+          }
+        })
+
+        pdf.setFont('helvetica', 'bold')
+        pdf.setFontSize(Math.max(EDGE_LABEL_FONT_SIZE * scale * PT_PER_MM, 4))
+        pdf.setLineWidth(0.2)
+        connections
+          .filter((connection) => connection.label.length > 0)
+          .forEach((connection) => {
+            const labelWidth = pdf.getTextWidth(connection.label) + 16 * scale
+            const labelHeight = 22 * scale
+            const centerX = convertX(connection.labelPoint.x)
+            const centerY = convertY(connection.labelPoint.y)
+            pdf.setFillColor(255, 255, 255)
+            pdf.setDrawColor(203, 213, 225)
+            pdf.roundedRect(
+              centerX - labelWidth / 2,
+              centerY - labelHeight / 2,
+              labelWidth,
+              labelHeight,
+              labelHeight / 2,
+              labelHeight / 2,
+              'FD',
+            )
+            pdf.setTextColor(51, 65, 85)
+            pdf.text(connection.label, centerX, centerY, { align: 'center', baseline: 'middle' })
+          })
+
+        relationGeometries.forEach(({ relation, geometry }) => {
+          pdf.setDrawColor(99, 102, 241)
+          pdf.setFillColor(99, 102, 241)
+          pdf.setLineWidth(2.5 * scale)
+          pdf.setLineDashPattern([8 * scale, 6 * scale], 0)
+          tracePath(geometry.segments)
+          pdf.stroke()
+          pdf.setLineDashPattern([], 0)
+          const [tip, left, right] = geometry.arrow
+          pdf.triangle(
+            convertX(tip.x),
+            convertY(tip.y),
+            convertX(left.x),
+            convertY(left.y),
+            convertX(right.x),
+            convertY(right.y),
+            'F',
+          )
+
+          const label = relation.label.replace(/\s+/g, ' ').trim()
+          if (label.length === 0) return
+          const labelWidth = pdf.getTextWidth(label) + 16 * scale
+          const labelHeight = 22 * scale
+          const centerX = convertX(geometry.labelPoint.x)
+          const centerY = convertY(geometry.labelPoint.y)
+          pdf.setFillColor(238, 242, 255)
+          pdf.setLineWidth(0.2)
+          pdf.roundedRect(
+            centerX - labelWidth / 2,
+            centerY - labelHeight / 2,
+            labelWidth,
+            labelHeight,
+            labelHeight / 2,
+            labelHeight / 2,
+            'FD',
+          )
+          pdf.setTextColor(67, 56, 202)
+          pdf.text(label, centerX, centerY, { align: 'center', baseline: 'middle' })
+        })
+
+        nodesWithPosition.forEach(({ node, position, size }) => {
+          const nodeWidth = size.width * scale
+          const nodeHeight = size.height * scale
+          const nodeX = convertX(position.x - size.width / 2)
+          const nodeY = convertY(position.y - size.height / 2)
+          const cornerRadius = 24 * scale
+
+          const shadowOffset = 12 * scale
+          if (typeof pdf.GState === 'function') {
+            const shadowState = pdf.GState({ opacity: 0.18 })
+            pdf.setGState(shadowState)
+            pdf.setFillColor(15, 23, 42)
+            pdf.roundedRect(nodeX + shadowOffset, nodeY + shadowOffset, nodeWidth, nodeHeight, cornerRadius, cornerRadius, 'F')
+            pdf.setGState(pdf.GState({ opacity: 1 }))
+          }
+
+          const { r, g, b } = hexToRgb(node.color ?? DEFAULT_NODE_COLOR)
+          pdf.setFillColor(r, g, b)
+          pdf.setDrawColor(0, 0, 0)
+          pdf.setLineWidth(5 * scale)
+          pdf.roundedRect(nodeX, nodeY, nodeWidth, nodeHeight, cornerRadius, cornerRadius, 'FD')
+
+          const paddingX = 20 * scale
+          const textAreaWidth = Math.max(nodeWidth - paddingX * 2, 0)
+          const centerX = nodeX + nodeWidth / 2
+          const centerY = nodeY + nodeHeight / 2
+
+          const image = getNodeImage(node)
+          const imageSize = image ? getNodeImageDisplaySize(image) : null
+          const imageOffset = imageSize ? (imageSize.height + NODE_IMAGE_GAP) * scale : 0
+          const markers = getMarkerList(node)
+          const markerSize = MARKER_SIZE * scale
+          const markersWidth =
+            markers.length > 0 ? markers.length * (markerSize + MARKER_GAP * scale) - MARKER_GAP * scale : 0
+          const markersOffset = markers.length > 0 ? markersWidth + 6 * scale : 0
+
+          const label = node.label.trim().length > 0 ? node.label : PLACEHOLDER_LABEL
+          const fontSizePt = Math.max(baseFontSizePx * scale * PT_PER_MM, 6)
+          pdf.setFont('helvetica', 'bold')
+          const isPlaceholder = label === PLACEHOLDER_LABEL && node.label.trim().length === 0
+          if (isPlaceholder) {
+            pdf.setTextColor(94, 110, 135)
+          } else {
+            pdf.setTextColor(15, 23, 42)
+          }
+          pdf.setFontSize(fontSizePt)
+          const lines = pdf.splitTextToSize(label, Math.max(textAreaWidth - markersOffset, 0))
+          const lineHeight = (baseFontSizePx * lineHeightFactor * scale)
+          const totalHeight = lineHeight * lines.length
+          const textCenterY = centerY + imageOffset / 2
+          let startY = textCenterY - totalHeight / 2 + lineHeight / 2
+          const textWidth = Math.max(...lines.map((line) => pdf.getTextWidth(line)), 0)
+          const rowLeft = centerX - (markersOffset + textWidth) / 2
+          const textCenterX = rowLeft + markersOffset + textWidth / 2
+
+          lines.forEach((line) => {
+            pdf.text(line, textCenterX, startY, { align: 'center', baseline: 'middle' })
+            startY += lineHeight
+          })
+
+          markers.forEach((marker, index) => {
+            const markerX = rowLeft + index * (markerSize + MARKER_GAP * scale)
+            drawPdfMarker(pdf, marker, markerX, textCenterY - markerSize / 2, markerSize)
+          })
+
+          if (imageSize) {
+            const imageWidth = imageSize.width * scale
+            const imageHeight = imageSize.height * scale
+            try {
+              pdf.addImage(
+                image.src,
+                getNodeImageFormat(image),
+                centerX - imageWidth / 2,
+                centerY - (imageOffset + totalHeight) / 2,
+                imageWidth,
+                imageHeight,
+              )
+            } catch (error) {
+              console.error('Failed to add node image to PDF', error)
+            }
+          }
+        })
+      }
+
+      const addNodeLinks = (convertX, convertY) => {
+        const areaLeft = isTiled ? margin : 0
+        const areaTop = isTiled ? margin : 0
+        const areaRight = isTiled ? margin + availableWidth : pageWidth
+        const areaBottom = isTiled ? margin + availableHeight : pageHeight
+
+        nodesWithPosition.forEach(({ node, position, size }) => {
+          const url = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
+          if (url.length === 0) return
+          const left = Math.max(convertX(position.x - size.width / 2), areaLeft)
+          const top = Math.max(convertY(position.y - size.height / 2), areaTop)
+          const right = Math.min(convertX(position.x + size.width / 2), areaRight)
+          const bottom = Math.min(convertY(position.y + size.height / 2), areaBottom)
+          if (right <= left || bottom <= top) return
+          pdf.link(left, top, right - left, bottom - top, { url })
+        })
+      }
+
+      const drawTileMarks = (row, column, pageNumber) => {
+        const areaRight = margin + availableWidth
+        const areaBottom = margin + availableHeight
+        pdf.setDrawColor(100, 116, 139)
+        pdf.setLineWidth(0.3)
+        pdf.setLineDashPattern([2, 2], 0)
+        if (column < columns - 1) {
+          pdf.line(margin + stepX, margin, margin + stepX, areaBottom)
+        }
+        if (column > 0) {
+          pdf.line(margin + PDF_TILE_OVERLAP, margin, margin + PDF_TILE_OVERLAP, areaBottom)
+        }
+        if (row < rows - 1) {
+          pdf.line(margin, margin + stepY, areaRight, margin + stepY)
+        }
+        if (row > 0) {
+          pdf.line(margin, margin + PDF_TILE_OVERLAP, areaRight, margin + PDF_TILE_OVERLAP)
+        }
+        pdf.setLineDashPattern([], 0)
+
+        const markLength = 6
+        const markGap = 2
+        ;[
+          [margin, margin, -1, -1],
+          [areaRight, margin, 1, -1],
+          [margin, areaBottom, -1, 1],
+          [areaRight, areaBottom, 1, 1],
+        ].forEach(([x, y, directionX, directionY]) => {
+          pdf.line(x + directionX * markGap, y, x + directionX * (markGap + markLength), y)
+          pdf.line(x, y + directionY * markGap, x, y + directionY * (markGap + markLength))
+        })
+
+        pdf.setFont('helvetica', 'normal')
+        pdf.setFontSize(8)
+        pdf.setTextColor(100, 116, 139)
+        pdf.text(
+          `Page ${pageNumber}/${pageCount} · ligne ${row + 1}, colonne ${column + 1}`,
+          pageWidth / 2,
+          pageHeight - margin / 2,
+          { align: 'center', baseline: 'middle' },
+        )
+      }
+
+      for (let row = 0; row < rows; row += 1) {
+        for (let column = 0; column < columns; column += 1) {
+          const pageNumber = row * columns + column + 1
+          if (pageNumber > 1) {
+            pdf.addPage(format, orientation)
+          }
+          drawBackground()
+
+          const offsetX = margin + getTileOffset(column, columns, availableWidth, contentWidthScaled, stepX)
+          const offsetY = margin + getTileOffset(row, rows, availableHeight, contentHeightScaled, stepY)
+          const convertX = (value) => offsetX + (value - minX) * scale
+          const convertY = (value) => offsetY + (value - minY) * scale
+
+          if (isTiled) {
+            pdf.saveGraphicsState()
+            pdf.rect(margin, margin, availableWidth, availableHeight, null)
+            pdf.clip()
+            pdf.discardPath()
+          }
+          drawMapContent(convertX, convertY)
+          if (isTiled) {
+            pdf.restoreGraphicsState()
+            drawTileMarks(row, column, pageNumber)
+          }
+          addNodeLinks(convertX, convertY)
+        }
+      }
 
-      const PT_PER_MM = 72 / 25.4
-      const baseFontSizePx = 16.8
-      const lineHeightFactor = 1.3
+      const childrenMap = buildChildrenMap(visibleNodes)
+      const addBookmarks = (node, parentItem) => {
+        const position = positions[node.id]
+        if (!position) return
+        const column = getTileIndex(position.x, minX, columns, stepX)
+        const row = getTileIndex(position.y, minY, rows, stepY)
+        const label = node.label.trim().length > 0 ? node.label.replace(/\s+/g, ' ').trim() : PLACEHOLDER_LABEL
+        const item = pdf.outline.add(parentItem, label, { pageNumber: row * columns + column + 1 })
+        ;(childrenMap.get(node.id) ?? []).forEach((child) => addBookmarks(child, item))
+      }
+      if (rootNode) {
+        addBookmarks(rootNode, null)
+      }
 
-      nodesWithPosition.forEach(({ node, position, size }) => {
-        const nodeWidth = size.width * scale
-        const nodeHeight = size.height * scale
-        const nodeX = convertX(position.x - size.width / 2)
-        const nodeY = convertY(position.y - size.height / 2)
-        const cornerRadius = 24 * scale
-
-        const shadowOffset = 12 * scale
-        if (typeof pdf.GState === 'function') {
-          const shadowState = pdf.GState({ opacity: 0.18 })
-          pdf.setGState(shadowState)
-          pdf.setFillColor(15, 23, 42)
-          pdf.roundedRect(nodeX + shadowOffset, nodeY + shadowOffset, nodeWidth, nodeHeight, cornerRadius, cornerRadius, 'F')
-          pdf.setGState(pdf.GState({ opacity: 1 }))
-        }
-
-        const { r, g, b } = hexToRgb(node.color ?? DEFAULT_NODE_COLOR)
-        pdf.setFillColor(r, g, b)
-        pdf.setDrawColor(0, 0, 0)
-        pdf.setLineWidth(5 * scale)
-        pdf.roundedRect(nodeX, nodeY, nodeWidth, nodeHeight, cornerRadius, cornerRadius, 'FD')
-
-        const paddingX = 20 * scale
-        const textAreaWidth = Math.max(nodeWidth - paddingX * 2, 0)
-        const centerX = nodeX + nodeWidth / 2
-        const centerY = nodeY + nodeHeight / 2
-
-        const label = node.label.trim().length > 0 ? node.label : PLACEHOLDER_LABEL
-        const fontSizePt = Math.max(baseFontSizePx * scale * PT_PER_MM, 6)
-        pdf.setFont('helvetica', 'bold')
-        const isPlaceholder = label === PLACEHOLDER_LABEL && node.label.trim().length === 0
-        if (isPlaceholder) {
-          pdf.setTextColor(94, 110, 135)
-        } else {
-          pdf.setTextColor(15, 23, 42)
+      const notedNodes = []
+      const allChildrenMap = buildChildrenMap(nodes)
+      const collectNotedNodes = (node) => {
+        if (getNodeNotes(node).trim().length > 0) {
+          notedNodes.push(node)
+        }
+        ;(allChildrenMap.get(node.id) ?? []).forEach(collectNotedNodes)
+      }
+      if (rootNode) {
+        collectNotedNodes(rootNode)
+      }
+
+      if (notedNodes.length > 0) {
+        const lineHeight = 5
+        const textWidth = pageWidth - margin * 2
+        let cursorY = margin
+        const startNotesPage = () => {
+          pdf.addPage(format, orientation)
+          cursorY = margin
+        }
+        const ensureSpace = (height) => {
+          if (cursorY + height > pageHeight - margin) {
+            startNotesPage()
+          }
+        }
+        const writeLines = (text, { indent = 0, font = 'helvetica', style = 'normal', size = 10 } = {}) => {
+          pdf.setFont(font, style)
+          pdf.setFontSize(size)
+          pdf.splitTextToSize(text, textWidth - indent).forEach((line) => {
+            ensureSpace(lineHeight)
+            pdf.text(line, margin + indent, cursorY, { baseline: 'top' })
+            cursorY += lineHeight
+          })
         }
-        pdf.setFontSize(fontSizePt)
-        const lines = pdf.splitTextToSize(label, textAreaWidth)
-        const lineHeight = (baseFontSizePx * lineHeightFactor * scale)
-        const totalHeight = lineHeight * lines.length
-        let startY = centerY - totalHeight / 2 + lineHeight / 2
 
-        lines.forEach((line) => {
-          pdf.text(line, centerX, startY, { align: 'center', baseline: 'middle' })
-          startY += lineHeight
+        startNotesPage()
+        const notesOutline = pdf.outline.add(null, 'Notes', { pageNumber: pdf.getNumberOfPages() })
+        pdf.setTextColor(15, 23, 42)
+        writeLines('Notes', { style: 'bold', size: 18 })
+        cursorY += lineHeight
+
+        notedNodes.forEach((node) => {
+          const label = node.label.trim().length > 0 ? node.label.replace(/\s+/g, ' ').trim() : PLACEHOLDER_LABEL
+          ensureSpace(lineHeight * 3)
+          pdf.outline.add(notesOutline, label, { pageNumber: pdf.getNumberOfPages() })
+          pdf.setTextColor(15, 23, 42)
+          writeLines(label, { style: 'bold', size: 13 })
+          cursorY += 1
+          pdf.setTextColor(51, 65, 85)
+          parseMarkdownBlocks(getNodeNotes(node)).forEach((block) => {
+            if (block.type === 'heading') {
+              cursorY += 1
+              writeLines(getMarkdownPlainText(block.text), { style: 'bold', size: 11 })
+            } else if (block.type === 'list') {
+              block.items.forEach((item, index) => {
+                const bullet = block.ordered ? `${index + 1}.` : '•'
+                writeLines(`${bullet} ${getMarkdownPlainText(item.text)}`, { indent: 4 + item.depth * 5 })
+              })
+            } else if (block.type === 'code') {
+              block.lines.forEach((line) => writeLines(line.length > 0 ? line : ' ', { indent: 4, font: 'courier', size: 9 }))
+            } else if (block.type === 'quote') {
+              writeLines(getMarkdownPlainText(block.lines.join('\n')), { indent: 4, style: 'italic' })
+            } else if (block.type === 'rule') {
+              ensureSpace(lineHeight)
+              pdf.setDrawColor(203, 213, 225)
+              pdf.setLineWidth(0.3)
+              pdf.line(margin, cursorY + lineHeight / 2, pageWidth - margin, cursorY + lineHeight / 2)
+              cursorY += lineHeight
+              return
+            } else {
+              writeLines(getMarkdownPlainText(block.lines.join('\n')))
+            }
+            cursorY += 2
+          })
+          cursorY += lineHeight
         })
-      })
+      }
 
       const filename = getDefaultFilename(rootNode?.label, 'pdf')
       pdf.save(filename)
+      setActiveExportDialog(null)
     } catch (error) {
       console.error('Failed to export PDF', error)
       window.alert("L'export PDF a échoué. Veuillez réessayer.")
     }
-  }, [nodeSizes, nodes, positions, rootNode?.label])
+  }, [connections, nodeSizes, nodes, pdfExportOptions, positions, relationGeometries, rootNode, visibleNodes])
+
+  const handleExportSvg = useCallback(() => {
+    const measureText = createTextMeasurer(NODE_TEXT_FONT)
+    const svg = buildSvgDocument({
+      nodes: visibleNodes,
+      positions,
+      nodeSizes,
+      measureText,
+      connectorStyle,
+      connectorOrientation,
+      relations,
+    })
+    if (!svg) {
+      window.alert('Aucun contenu à exporter en SVG.')
+      return
+    }
+    const filename = getDefaultFilename(rootNode?.label, 'svg')
+    downloadBlob(new Blob([svg.markup], { type: 'image/svg+xml;charset=utf-8' }), filename)
+  }, [connectorOrientation, connectorStyle, nodeSizes, positions, relations, rootNode?.label, visibleNodes])
+
+  const openExportDialog = useCallback((dialog) => {
+    setIsLibraryOpen(false)
+    setIsReplaceDialogOpen(false)
+    setIsTagManagerOpen(false)
+    setActiveExportDialog(dialog)
+  }, [])
+
+  const closeExportDialog = useCallback(() => {
+    setActiveExportDialog(null)
+  }, [])
+
+  const handleExportPng = useCallback(async () => {
+    let exportedNodes = visibleNodes
+    let exportedRelations = relations
+    if (pngExportOptions.selectionOnly && selectedNode) {
+      const branch = getBranchToDelete(visibleNodes, selectedNode.id)
+      exportedNodes = visibleNodes.filter((node) => branch.has(node.id))
+      exportedRelations = relations.filter(
+        (relation) => branch.has(relation.sourceId) && branch.has(relation.targetId),
+      )
+    }
+    const measureText = createTextMeasurer(NODE_TEXT_FONT)
+    const svg = buildSvgDocument({
+      nodes: exportedNodes,
+      positions,
+      nodeSizes,
+      measureText,
+      background: pngExportOptions.background,
+      connectorStyle,
+      connectorOrientation,
+      relations: exportedRelations,
+    })
+    if (!svg) {
+      window.alert('Aucun contenu à exporter en PNG.')
+      return
+    }
+    try {
+      const blob = await renderSvgToPngBlob(svg, pngExportOptions.scale)
+      const label = pngExportOptions.selectionOnly ? selectedNode?.label : rootNode?.label
+      downloadBlob(blob, getDefaultFilename(label, 'png'))
+      setActiveExportDialog(null)
+    } catch (error) {
+      console.error('Failed to export PNG', error)
+      window.alert("L'export PNG a échoué. Veuillez réessayer.")
+    }
+  }, [
+    connectorOrientation,
+    connectorStyle,
+    nodeSizes,
+    pngExportOptions,
+    positions,
+    relations,
+    rootNode?.label,
+    selectedNode,
+    visibleNodes,
+  ])
 
   const handleLoadClick = useCallback(() => {
     fileInputRef.current?.click()
   }, [])
 
+  const resetHistory = useCallback(() => {
+    historyRef.current = { past: [], future: [] }
+    syncHistoryStatus()
+  }, [syncHistoryStatus])
+
+  const applyMapPayload = useCallback((payload) => {
+    setNodes(payload.nodes)
+    setCustomPositions(payload.customPositions)
+    setViewTransform(payload.viewTransform)
+    setLayoutEngine(payload.layout)
+    setConnectorStyle(payload.connectorStyle)
+    setRelations(payload.relations)
+    setSelectedRelationId(null)
+    setTagColors(payload.tagColors)
+    setTagFilter([])
+
+    const nextRoot = payload.nodes.find((node) => node.parentId === null)
+    if (nextRoot) {
+      setSelectedId(nextRoot.id)
+    } else if (payload.nodes.length > 0) {
+      setSelectedId(payload.nodes[0].id)
+    }
+
+    idCounter.current = getNextIdFromNodes(payload.nodes)
+  }, [setSelectedId])
+
   const handleFileChange = useCallback(
     (event) => {
       const input = event.target
@@ -1310,50 +5821,14 @@ function App() {
       reader.onload = (loadEvent) => {
         try {
           const text = typeof loadEvent.target?.result === 'string' ? loadEvent.target.result : ''
-          const data = JSON.parse(text)
-          if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
-            throw new Error('Invalid data')
-          }
+          const payload = parseMapFile(file.name, text)
 
           if (!window.confirm('Charger cette carte remplacera la carte actuelle. Continuer ?')) {
             return
           }
 
-          const nextNodes = data.nodes.map((node) => {
-            const label = typeof node.label === 'string' ? node.label : ''
-            const externalLink = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
-            const color = normalizeNodeColor(node.color ?? DEFAULT_NODE_COLOR)
-            return {
-              ...node,
-              label,
-              externalLink,
-              color,
-            }
-          })
-          const nextCustomPositions =
-            data.customPositions && typeof data.customPositions === 'object'
-              ? data.customPositions
-              : {}
-          const nextViewTransform =
-            data.viewTransform && typeof data.viewTransform === 'object'
-              ? {
-                  x: Number.isFinite(data.viewTransform.x) ? data.viewTransform.x : 0,
-                  y: Number.isFinite(data.viewTransform.y) ? data.viewTransform.y : 0,
-                  scale: Number.isFinite(data.viewTransform.scale) ? data.viewTransform.scale : 1,
-                }
-              : { x: 0, y: 0, scale: 1 }
-          setNodes(nextNodes)
-          setCustomPositions(nextCustomPositions)
-          setViewTransform(nextViewTransform)
-
-          const nextRoot = nextNodes.find((node) => node.parentId === null)
-          if (nextRoot) {
-            setSelectedId(nextRoot.id)
-          } else if (nextNodes.length > 0) {
-            setSelectedId(nextNodes[0].id)
-          }
-
-          idCounter.current = getNextIdFromNodes(nextNodes)
+          recordHistory({ includeView: true })
+          applyMapPayload(payload)
         } catch (error) {
           console.error('Failed to load mind map', error)
           window.alert("Impossible de charger ce fichier. Veuillez vérifier son contenu.")
@@ -1373,7 +5848,269 @@ function App() {
 
       reader.readAsText(file)
     },
-    [setCustomPositions, setNodes, setSelectedId, setViewTransform],
+    [applyMapPayload, recordHistory],
+  )
+
+  const refreshStoredMaps = useCallback(async () => {
+    try {
+      const records = await listStoredMaps()
+      setStoredMaps(records.map(toStoredMapSummary))
+    } catch (error) {
+      console.error('Failed to list stored mind maps', error)
+    }
+  }, [])
+
+  const persistMap = useCallback(
+    async (mapId, payload) => {
+      const json = JSON.stringify(payload)
+      if (lastSavedRef.current.id === mapId && lastSavedRef.current.json === json) return
+      lastSavedRef.current = { id: mapId, json }
+      try {
+        const now = Date.now()
+        const record = await updateStoredMap(mapId, (existing) => ({
+          id: mapId,
+          name: existing?.name ?? getMapNameFromNodes(payload.nodes),
+          createdAt: existing?.createdAt ?? now,
+          updatedAt: now,
+          payload,
+        }))
+        const summary = toStoredMapSummary(record)
+        setStoredMaps((prev) => [summary, ...prev.filter((item) => item.id !== mapId)])
+      } catch (error) {
+        lastSavedRef.current = { id: null, json: '' }
+        console.error('Failed to autosave mind map', error)
+      }
+    },
+    [],
+  )
+
+  const flushAutosave = useCallback(async () => {
+    if (!currentMapIdRef.current) return
+    const {
+      nodes: currentNodes,
+      customPositions: currentPositions,
+      viewTransform: currentView,
+      layout: currentLayout,
+      connectorStyle: currentConnectorStyle,
+      relations: currentRelations,
+      tagColors: currentTagColors,
+    } = mapStateRef.current
+    await persistMap(currentMapIdRef.current, {
+      nodes: currentNodes,
+      customPositions: currentPositions,
+      viewTransform: currentView,
+      layout: currentLayout,
+      connectorStyle: currentConnectorStyle,
+      relations: currentRelations,
+      tagColors: currentTagColors,
+    })
+  }, [persistMap])
+
+  const openMapRecord = useCallback(
+    (record) => {
+      const payload = normalizeMapPayload(record.payload)
+      lastSavedRef.current = { id: record.id, json: JSON.stringify(payload) }
+      currentMapIdRef.current = record.id
+      applyMapPayload(payload)
+      resetHistory()
+      setCurrentMapId(record.id)
+      writeLastMapId(record.id)
+    },
+    [applyMapPayload, resetHistory],
+  )
+
+  const createMapRecord = useCallback(async (payload, name) => {
+    const now = Date.now()
+    const record = {
+      id: createMapId(),
+      name: name ?? getMapNameFromNodes(payload.nodes),
+      createdAt: now,
+      updatedAt: now,
+      payload,
+    }
+    await putStoredMap(record)
+    return record
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const initializeLibrary = async () => {
+      try {
+        const records = await listStoredMaps()
+        if (cancelled) return
+        const lastMapId = readLastMapId()
+        const existing = records.find((record) => record.id === lastMapId) ?? records[0]
+        if (existing) {
+          openMapRecord(existing)
+          setStoredMaps(records.map(toStoredMapSummary))
+          return
+        }
+        const { nodes: currentNodes, customPositions: currentPositions, viewTransform: currentView } =
+          mapStateRef.current
+        const record = await createMapRecord({
+          nodes: currentNodes,
+          customPositions: currentPositions,
+          viewTransform: currentView,
+        })
+        if (cancelled) return
+        lastSavedRef.current = { id: record.id, json: JSON.stringify(record.payload) }
+        currentMapIdRef.current = record.id
+        setCurrentMapId(record.id)
+        writeLastMapId(record.id)
+        setStoredMaps([toStoredMapSummary(record)])
+      } catch (error) {
+        if (cancelled) return
+        console.error('Failed to open the local map library', error)
+        setIsLibraryAvailable(false)
+      }
+    }
+
+    initializeLibrary()
+    return () => {
+      cancelled = true
+    }
+  }, [createMapRecord, openMapRecord])
+
+  useEffect(() => {
+    if (!currentMapId) return
+    const timer = window.setTimeout(() => {
+      persistMap(currentMapId, {
+        nodes,
+        customPositions,
+        viewTransform: mapStateRef.current.viewTransform,
+        layout: layoutEngine,
+        connectorStyle,
+        relations,
+        tagColors,
+      })
+    }, AUTOSAVE_DELAY)
+    return () => {
+      window.clearTimeout(timer)
+    }
+  }, [
+    connectorStyle,
+    currentMapId,
+    customPositions,
+    layoutEngine,
+    nodes,
+    persistMap,
+    relations,
+    tagColors,
+  ])
+
+  useEffect(() => {
+    const handlePageHide = () => {
+      flushAutosave()
+    }
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flushAutosave()
+      }
+    }
+
+    window.addEventListener('pagehide', handlePageHide)
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [flushAutosave])
+
+  const toggleLibrary = useCallback(() => {
+    setActiveExportDialog(null)
+    setIsReplaceDialogOpen(false)
+    setIsTagManagerOpen(false)
+    setIsLibraryOpen((prev) => !prev)
+  }, [])
+
+  const handleCreateMap = useCallback(async () => {
+    try {
+      await flushAutosave()
+      const record = await createMapRecord(createInitialMapPayload())
+      openMapRecord(record)
+      await refreshStoredMaps()
+    } catch (error) {
+      console.error('Failed to create mind map', error)
+      window.alert('Impossible de créer une nouvelle carte.')
+    }
+  }, [createMapRecord, flushAutosave, openMapRecord, refreshStoredMaps])
+
+  const handleOpenMap = useCallback(
+    async (mapId) => {
+      if (mapId === currentMapIdRef.current) return
+      try {
+        await flushAutosave()
+        const record = await getStoredMap(mapId)
+        if (!record) {
+          throw new Error('Unknown map')
+        }
+        openMapRecord(record)
+        await refreshStoredMaps()
+      } catch (error) {
+        console.error('Failed to open mind map', error)
+        window.alert("Impossible d'ouvrir cette carte.")
+      }
+    },
+    [flushAutosave, openMapRecord, refreshStoredMaps],
+  )
+
+  const handleRenameMap = useCallback(
+    async (mapId) => {
+      try {
+        const record = await getStoredMap(mapId)
+        if (!record) return
+        const nextName = window.prompt('Nouveau nom de la carte :', record.name ?? '')
+        if (nextName === null) return
+        const trimmed = nextName.trim()
+        if (trimmed.length === 0 || trimmed === record.name) return
+        await updateStoredMap(mapId, (current) => current && { ...current, name: trimmed, updatedAt: Date.now() })
+        await refreshStoredMaps()
+      } catch (error) {
+        console.error('Failed to rename mind map', error)
+        window.alert('Impossible de renommer cette carte.')
+      }
+    },
+    [refreshStoredMaps],
+  )
+
+  const handleDuplicateMap = useCallback(
+    async (mapId) => {
+      try {
+        if (mapId === currentMapIdRef.current) {
+          await flushAutosave()
+        }
+        const record = await getStoredMap(mapId)
+        if (!record) return
+        await createMapRecord(record.payload, `${record.name ?? UNTITLED_MAP_NAME} (copie)`)
+        await refreshStoredMaps()
+      } catch (error) {
+        console.error('Failed to duplicate mind map', error)
+        window.alert('Impossible de dupliquer cette carte.')
+      }
+    },
+    [createMapRecord, flushAutosave, refreshStoredMaps],
+  )
+
+  const handleDeleteMap = useCallback(
+    async (mapId) => {
+      const summary = storedMaps.find((map) => map.id === mapId)
+      const name = summary?.name ?? UNTITLED_MAP_NAME
+      if (!window.confirm(`Supprimer définitivement la carte « ${name} » ?`)) return
+      try {
+        await deleteStoredMap(mapId)
+        if (mapId === currentMapIdRef.current) {
+          const remaining = await listStoredMaps()
+          const record = remaining[0] ?? (await createMapRecord(createInitialMapPayload()))
+          openMapRecord(record)
+        }
+        await refreshStoredMaps()
+      } catch (error) {
+        console.error('Failed to delete mind map', error)
+        window.alert('Impossible de supprimer cette carte.')
+      }
+    },
+    [createMapRecord, openMapRecord, refreshStoredMaps, storedMaps],
   )
 
   return (
@@ -1384,8 +6121,11 @@ function App() {
       >
         <svg
           ref={svgRef}
-          className={`mindmap-canvas ${isPanning ? 'is-panning' : ''}`}
+          className={`mindmap-canvas ${isPanning ? 'is-panning' : ''} ${
+            isSearching || isTagFiltering || isOpenTaskFilterActive ? 'is-filtering' : ''
+          } ${isZoomedOut ? 'is-zoomed-out' : ''}`}
           viewBox="-720 -480 1440 960"
+          tabIndex={-1}
           onPointerDown={handlePointerDown}
           onPointerMove={handlePointerMove}
           onPointerUp={handlePointerUp}
@@ -1401,63 +6141,216 @@ function App() {
           </defs>
           <g transform={`translate(${viewTransform.x} ${viewTransform.y})`}>
             <g transform={`scale(${viewTransform.scale})`}>
-              {nodes
-                .filter((node) => node.parentId !== null)
-                .map((node) => {
-                  const parentPos = node.parentId ? positions[node.parentId] : null
-                  const nodePos = positions[node.id]
-                  if (!parentPos || !nodePos) return null
-
+              {connections.map((connection) => (
+                <path
+                  key={`line-${connection.id}`}
+                  d={formatConnectorPath(connection.segments)}
+                  className={`mindmap-connection ${connection.isFilled ? 'is-filled' : ''}`}
+                />
+              ))}
+
+              {connections
+                .filter((connection) => connection.label.length > 0)
+                .map((connection) => {
+                  const labelWidth = measureEdgeLabel(connection.label) + 16
                   return (
-                    <line
-                      key={`line-${node.id}`}
-                      x1={parentPos.x}
-                      y1={parentPos.y}
-                      x2={nodePos.x}
-                      y2={nodePos.y}
-                      className="mindmap-connection"
-                    />
+                    <g
+                      key={`label-${connection.id}`}
+                      className="connection-label"
+                      transform={`translate(${connection.labelPoint.x}, ${connection.labelPoint.y})`}
+                    >
+                      <rect x={-labelWidth / 2} y={-11} width={labelWidth} height={22} rx={11} />
+                      <text y={EDGE_LABEL_FONT_SIZE * 0.35}>{connection.label}</text>
+                    </g>
                   )
                 })}
 
-              {nodes.map((node) => {
+              {relationGeometries.map(({ relation, geometry }) => {
+                const path = formatConnectorPath(geometry.segments)
+                const label = relation.label.replace(/\s+/g, ' ').trim()
+                const labelWidth = measureEdgeLabel(label) + 16
+                return (
+                  <g
+                    key={relation.id}
+                    className={`mindmap-relation ${relation.id === selectedRelationId ? 'is-selected' : ''}`}
+                    data-pan-stop="true"
+                    onClick={(event) => {
+                      event.stopPropagation()
+                      setSelectedRelationId(relation.id)
+                    }}
+                    onDoubleClick={(event) => {
+                      event.stopPropagation()
+                      editRelationLabel(relation.id)
+                    }}
+                  >
+                    <path className="relation-hit" d={path} />
+                    <path className="relation-path" d={path} />
+                    <polygon
+                      className="relation-arrow"
+                      points={geometry.arrow.map((point) => `${point.x},${point.y}`).join(' ')}
+                    />
+                    {label.length > 0 && (
+                      <g
+                        className="relation-label"
+                        transform={`translate(${geometry.labelPoint.x}, ${geometry.labelPoint.y})`}
+                      >
+                        <rect x={-labelWidth / 2} y={-11} width={labelWidth} height={22} rx={11} />
+                        <text y={EDGE_LABEL_FONT_SIZE * 0.35}>{label}</text>
+                      </g>
+                    )}
+                  </g>
+                )
+              })}
+
+              {visibleNodes.map((node) => {
                 const nodePos = positions[node.id]
                 if (!nodePos) return null
-                const isSelected = node.id === selectedNode?.id
+                const isSelected = selectedIdSet.has(node.id)
+                const isPrimary = node.id === selectedNode?.id
                 const isRoot = node.id === rootNode?.id
+                const isEditing = node.id === editingNodeId
                 const displayLabel = node.label.trim().length > 0 ? node.label : PLACEHOLDER_LABEL
                 const size = nodeSizes[node.id] ?? DEFAULT_NODE_SIZE
-                const toolbarWidth = Math.max(size.width, 280)
+                const hiddenCount = collapsedLayout.hiddenCounts[node.id] ?? 0
+                const foldToggleWidth = hiddenCount > 0 ? 22 + String(hiddenCount).length * 8 : 24
+                const toolbarWidth = Math.max(size.width, isMultiSelection ? 560 : 400)
                 const baseColor = node.color ?? DEFAULT_NODE_COLOR
                 const effectiveColor =
-                  isSelected && isConfigOpen ? draftColor ?? baseColor : baseColor
+                  isPrimary && isConfigOpen ? draftColor ?? baseColor : baseColor
                 const normalizedColor = normalizeNodeColor(effectiveColor)
                 const rawLink = typeof node.externalLink === 'string' ? node.externalLink.trim() : ''
                 const hasExternalLink = rawLink.length > 0
+                const nodeTags = getNodeTags(node)
+                const nodeTask = getNodeTask(node)
+                const taskMetaItems = getTaskMetaItems(nodeTask)
+                const isOverdue = isTaskOverdue(nodeTask, todayKey)
+                const progress = taskProgress.get(node.id)
+                const nodeImage = getNodeImage(node)
+                const nodeImageSize = nodeImage ? getNodeImageDisplaySize(nodeImage) : null
+                const nodeMarkers = getMarkerList(node)
+                const markersWidth = nodeMarkers.length * (MARKER_SIZE + MARKER_GAP) - MARKER_GAP
                 const labelClassNames = [
                   'node-label',
                   displayLabel === node.label ? '' : 'is-placeholder',
+                  nodeTask?.done ? 'is-done' : '',
                   hasExternalLink ? 'node-label-link' : '',
                 ]
                   .filter(Boolean)
                   .join(' ')
+                const labelContent = isEditing ? (
+                  <textarea
+                    ref={inlineEditorRef}
+                    className="node-inline-editor"
+                    data-no-drag="true"
+                    value={editingLabel}
+                    placeholder={PLACEHOLDER_LABEL}
+                    aria-label="Contenu du nœud"
+                    rows={1}
+                    onChange={(event) => setEditingLabel(event.target.value)}
+                    onBlur={commitInlineEdit}
+                    onPointerDown={(event) => event.stopPropagation()}
+                    onClick={(event) => event.stopPropagation()}
+                    onKeyDown={(event) => {
+                      if (event.key === 'Escape') {
+                        event.preventDefault()
+                        cancelInlineEdit()
+                      } else if (event.key === 'Enter' && !event.shiftKey) {
+                        event.preventDefault()
+                        commitInlineEdit()
+                      }
+                    }}
+                  />
+                ) : hasExternalLink ? (
+                  <a
+                    href={rawLink}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={labelClassNames}
+                  >
+                    {displayLabel}
+                  </a>
+                ) : (
+                  <span className={labelClassNames}>{displayLabel}</span>
+                )
 
                 return (
                   <g
                     key={node.id}
                     transform={`translate(${nodePos.x}, ${nodePos.y})`}
-                    className={`mindmap-node ${draggingNodeId === node.id ? 'is-dragging' : ''}`}
+                    className={[
+                      'mindmap-node',
+                      draggingNodeIds.includes(node.id) ? 'is-dragging' : '',
+                      (isSearching && !searchMatchSet.has(node.id)) ||
+                      (isTagFiltering && !tagFilterMatchSet.has(node.id)) ||
+                      (isOpenTaskFilterActive && !openTaskIds.has(node.id))
+                        ? 'is-dimmed'
+                        : '',
+                    ]
+                      .filter(Boolean)
+                      .join(' ')}
                     data-pan-stop="true"
                     onPointerDown={(event) => handleNodePointerDown(event, node)}
                     onPointerMove={handleNodePointerMove}
                     onPointerUp={handleNodePointerUp}
                     onPointerCancel={handleNodePointerCancel}
-                    onClick={(event) => {
-                      event.stopPropagation()
-                      setSelectedId(node.id)
-                    }}
+                    onClick={(event) => handleNodeClick(event, node)}
                   >
-                    {isSelected && (
+                    {isPrimary && isMultiSelection && (
+                      <foreignObject
+                        x={-toolbarWidth / 2}
+                        y={-size.height / 2 - 56}
+                        width={toolbarWidth}
+                        height={48}
+                        className="toolbar-wrapper"
+                      >
+                        <div className="floating-toolbar" data-pan-stop="true" xmlns="http://www.w3.org/1999/xhtml">
+                          <span className="toolbar-count">{selection.ids.length} nœuds</span>
+                          <div className="toolbar-swatches" role="group" aria-label="Couleur de la sélection">
+                            {COLOR_PRESETS.map((color) => (
+                              <button
+                                key={color}
+                                type="button"
+                                className="toolbar-swatch"
+                                data-no-drag="true"
+                                style={{ background: color }}
+                                aria-label={`Appliquer la couleur ${color}`}
+                                onClick={(event) => {
+                                  event.stopPropagation()
+                                  applyColorToSelection(color)
+                                }}
+                              />
+                            ))}
+                          </div>
+                          <button
+                            type="button"
+                            className={`toolbar-button ${pendingReparent ? 'is-active' : ''}`}
+                            data-no-drag="true"
+                            onClick={(event) => {
+                              event.stopPropagation()
+                              setPendingReparent((prev) => !prev)
+                            }}
+                          >
+                            <IconReparent />
+                            <span>Rattacher…</span>
+                          </button>
+                          <button
+                            type="button"
+                            className="toolbar-button"
+                            data-no-drag="true"
+                            disabled={selection.ids.every((id) => id === rootNode?.id)}
+                            onClick={(event) => {
+                              event.stopPropagation()
+                              removeSelectedBranches()
+                            }}
+                          >
+                            <IconTrash />
+                            <span>Supprimer</span>
+                          </button>
+                        </div>
+                      </foreignObject>
+                    )}
+
+                    {isPrimary && !isMultiSelection && (
                       <foreignObject
                         x={-toolbarWidth / 2}
                         y={-size.height / 2 - 56}
@@ -1479,6 +6372,19 @@ function App() {
                             <IconEdit />
                             <span>Modifier</span>
                           </button>
+                          <button
+                            type="button"
+                            className={`toolbar-button ${pendingRelationSourceId === node.id ? 'is-active' : ''}`}
+                            data-no-drag="true"
+                            onClick={(event) => {
+                              event.stopPropagation()
+                              setSelectedRelationId(null)
+                              setPendingRelationSourceId((prev) => (prev === node.id ? null : node.id))
+                            }}
+                          >
+                            <IconRelation />
+                            <span>Relier à…</span>
+                          </button>
                           <button
                             type="button"
                             className="toolbar-button"
@@ -1486,7 +6392,7 @@ function App() {
                             disabled={isRoot}
                             onClick={(event) => {
                               event.stopPropagation()
-                              removeSelectedBranch()
+                              removeSelectedBranches()
                             }}
                           >
                             <IconTrash />
@@ -1503,27 +6409,236 @@ function App() {
                       height={size.height}
                     >
                       <div
-                        className={`mindmap-node-card ${isSelected ? 'is-selected' : ''} ${isRoot ? 'is-root' : ''}`}
+                        className={[
+                          'mindmap-node-card',
+                          isSelected ? 'is-selected' : '',
+                          isRoot ? 'is-root' : '',
+                          nodeImage || nodeTags.length > 0 || taskMetaItems.length > 0 ? 'has-details' : '',
+                          isOverdue ? 'is-overdue' : '',
+                          isSearching && searchMatchSet.has(node.id) ? 'is-search-match' : '',
+                          node.id === currentSearchId ? 'is-search-current' : '',
+                          dropTarget?.id === node.id ? (dropTarget.isValid ? 'is-drop-target' : 'is-drop-invalid') : '',
+                          imageDropTargetId === node.id ? 'is-drop-target' : '',
+                        ]
+                          .filter(Boolean)
+                          .join(' ')}
                         data-pan-stop="true"
                         xmlns="http://www.w3.org/1999/xhtml"
                         style={{ background: normalizedColor }}
+                        onDoubleClick={(event) => {
+                          event.preventDefault()
+                          event.stopPropagation()
+                          if (!isEditing) {
+                            startInlineEdit(node.id, node.label)
+                          }
+                        }}
+                        onDragOver={(event) => {
+                          if (!Array.from(event.dataTransfer.types).includes('Files')) return
+                          event.preventDefault()
+                          event.dataTransfer.dropEffect = 'copy'
+                          setImageDropTargetId(node.id)
+                        }}
+                        onDragLeave={(event) => {
+                          if (event.currentTarget.contains(event.relatedTarget)) return
+                          setImageDropTargetId((current) => (current === node.id ? null : current))
+                        }}
+                        onDrop={(event) => {
+                          if (!Array.from(event.dataTransfer.types).includes('Files')) return
+                          event.preventDefault()
+                          event.stopPropagation()
+                          setImageDropTargetId(null)
+                          const imageFile = getImageFile(event.dataTransfer)
+                          if (imageFile) {
+                            attachImageToNode(node.id, imageFile)
+                          }
+                        }}
                       >
-                        {hasExternalLink ? (
-                          <a
-                            href={rawLink}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className={labelClassNames}
-                          >
-                            {displayLabel}
-                          </a>
+                        {nodeImage && (
+                          <img
+                            className="node-image"
+                            src={nodeImage.src}
+                            width={nodeImageSize.width}
+                            height={nodeImageSize.height}
+                            alt=""
+                            draggable={false}
+                          />
+                        )}
+                        {nodeMarkers.length > 0 ? (
+                          <div className="node-title">
+                            <span className="node-markers">
+                              {nodeMarkers.map((marker) => (
+                                <svg key={marker.key} className="node-marker" viewBox="0 0 20 20" aria-label={getMarkerTitle(marker)}>
+                                  <title>{getMarkerTitle(marker)}</title>
+                                  <MarkerGlyph marker={marker} />
+                                </svg>
+                              ))}
+                            </span>
+                            {labelContent}
+                          </div>
                         ) : (
-                          <span className={labelClassNames}>{displayLabel}</span>
+                          labelContent
+                        )}
+                        {taskMetaItems.length > 0 && (
+                          <div className="node-task-meta">
+                            {taskMetaItems.map((item) => (
+                              <span
+                                key={item.key}
+                                className={[
+                                  'node-task-pill',
+                                  item.key === 'due' && isOverdue ? 'is-overdue' : '',
+                                ]
+                                  .filter(Boolean)
+                                  .join(' ')}
+                              >
+                                {item.text}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {nodeTags.length > 0 && (
+                          <div className="node-tags">
+                            {nodeTags.map((tag) => (
+                              <span
+                                key={tag}
+                                className={`node-tag ${tagFilter.includes(tag) ? 'is-filtered' : ''}`}
+                                style={{ background: getTagColor(tag, tagColors) }}
+                              >
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
                         )}
                       </div>
                     </foreignObject>
 
-                    {isSelected && (
+                    {isZoomedOut && nodeMarkers.length > 0 && (
+                      <g
+                        className="node-markers-overview"
+                        transform={`scale(${MARKER_OVERVIEW_SCALE / viewTransform.scale})`}
+                        aria-hidden="true"
+                      >
+                        <rect
+                          x={-markersWidth / 2 - 6}
+                          y={-MARKER_SIZE / 2 - 6}
+                          width={markersWidth + 12}
+                          height={MARKER_SIZE + 12}
+                          rx={(MARKER_SIZE + 12) / 2}
+                        />
+                        {nodeMarkers.map((marker, index) => (
+                          <svg
+                            key={marker.key}
+                            x={-markersWidth / 2 + index * (MARKER_SIZE + MARKER_GAP)}
+                            y={-MARKER_SIZE / 2}
+                            width={MARKER_SIZE}
+                            height={MARKER_SIZE}
+                            viewBox="0 0 20 20"
+                            overflow="visible"
+                          >
+                            <MarkerGlyph marker={marker} />
+                          </svg>
+                        ))}
+                      </g>
+                    )}
+
+                    {(nodeTask || progress) && (
+                      <g
+                        className={[
+                          'task-badge',
+                          nodeTask ? 'is-task' : '',
+                          nodeTask?.done ? 'is-done' : '',
+                          isOverdue ? 'is-overdue' : '',
+                        ]
+                          .filter(Boolean)
+                          .join(' ')}
+                        transform={`translate(${-size.width / 2 + 10}, ${-size.height / 2 + 10})`}
+                        data-no-drag="true"
+                        role={nodeTask ? 'checkbox' : 'img'}
+                        aria-checked={nodeTask ? nodeTask.done : undefined}
+                        aria-label={
+                          nodeTask
+                            ? nodeTask.done
+                              ? 'Tâche terminée'
+                              : 'Tâche à faire'
+                            : `${progress.done} sur ${progress.total} sous-tâches terminées`
+                        }
+                        onPointerDown={(event) => event.stopPropagation()}
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          if (nodeTask) {
+                            toggleTaskDone(node.id)
+                          }
+                        }}
+                      >
+                        <title>
+                          {[
+                            nodeTask ? (nodeTask.done ? 'Tâche terminée' : 'Marquer comme terminée') : '',
+                            progress ? `${progress.done}/${progress.total} sous-tâches terminées` : '',
+                          ]
+                            .filter(Boolean)
+                            .join(' · ')}
+                        </title>
+                        {progress && <circle className="task-progress-track" r={16} />}
+                        {progress?.done > 0 && (
+                          <circle
+                            className="task-progress-value"
+                            r={16}
+                            pathLength={100}
+                            strokeDasharray={`${(progress.done / progress.total) * 100} 100`}
+                            transform="rotate(-90)"
+                          />
+                        )}
+                        <circle className="task-badge-background" r={12} />
+                        {nodeTask?.done && <path className="task-badge-check" d="M-5 0.5l3.2 3.2L5 -3.8" />}
+                        {!nodeTask && (
+                          <text className="task-badge-percent" y={3.5}>
+                            {Math.round((progress.done / progress.total) * 100)}
+                          </text>
+                        )}
+                      </g>
+                    )}
+
+                    {getNodeNotes(node).trim().length > 0 && (
+                      <g
+                        className="note-indicator"
+                        transform={`translate(${size.width / 2 - 10}, ${-size.height / 2 + 10})`}
+                        data-no-drag="true"
+                        role="button"
+                        aria-label="Afficher la note"
+                        onPointerDown={(event) => event.stopPropagation()}
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          setSelectedId(node.id)
+                          setIsNotesDrawerOpen(true)
+                        }}
+                      >
+                        <title>Afficher la note</title>
+                        <circle r={12} />
+                        <path d="M-4.5 -4.5h9M-4.5 -0.5h9M-4.5 3.5h5.5" />
+                      </g>
+                    )}
+
+                    {parentNodeIds.has(node.id) && (
+                      <g
+                        className={`fold-toggle ${hiddenCount > 0 ? 'is-collapsed' : ''}`}
+                        transform={`translate(0, ${size.height / 2})`}
+                        data-no-drag="true"
+                        role="button"
+                        aria-label={hiddenCount > 0 ? `Déplier (${hiddenCount} nœuds masqués)` : 'Replier la branche'}
+                        onPointerDown={(event) => event.stopPropagation()}
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          toggleNodeCollapsed(node.id)
+                        }}
+                      >
+                        <title>{hiddenCount > 0 ? `${hiddenCount} nœuds masqués` : 'Replier la branche'}</title>
+                        <rect x={-foldToggleWidth / 2} y={-12} width={foldToggleWidth} height={24} rx={12} />
+                        <text x={0} y={5}>
+                          {hiddenCount > 0 ? `+${hiddenCount}` : '−'}
+                        </text>
+                      </g>
+                    )}
+
+                    {isPrimary && !isMultiSelection && (
                       <foreignObject x={size.width / 2 + 12} y={-22} width={44} height={44}>
                         <div className="quick-add" data-pan-stop="true" xmlns="http://www.w3.org/1999/xhtml">
                           <button
@@ -1543,33 +6658,829 @@ function App() {
                   </g>
                 )
               })}
+
+              {selectedRelationGeometry && (
+                <g className="relation-editor" data-pan-stop="true">
+                  {selectedRelationGeometry.geometry.controls.map((control, index) => (
+                    <g key={index}>
+                      <line
+                        className="relation-control-line"
+                        x1={selectedRelationGeometry.geometry.anchors[index].x}
+                        y1={selectedRelationGeometry.geometry.anchors[index].y}
+                        x2={control.x}
+                        y2={control.y}
+                      />
+                      <circle
+                        className="relation-control-handle"
+                        cx={control.x}
+                        cy={control.y}
+                        r={7}
+                        onPointerDown={(event) =>
+                          handleRelationHandlePointerDown(event, selectedRelationGeometry.relation.id, index)
+                        }
+                        onPointerMove={handleRelationHandlePointerMove}
+                        onPointerUp={handleRelationHandlePointerUp}
+                        onPointerCancel={handleRelationHandlePointerUp}
+                        onClick={(event) => event.stopPropagation()}
+                      />
+                    </g>
+                  ))}
+                  <foreignObject
+                    x={selectedRelationGeometry.geometry.labelPoint.x - 110}
+                    y={selectedRelationGeometry.geometry.labelPoint.y - 64}
+                    width={220}
+                    height={48}
+                    className="toolbar-wrapper"
+                  >
+                    <div className="floating-toolbar" data-pan-stop="true" xmlns="http://www.w3.org/1999/xhtml">
+                      <button
+                        type="button"
+                        className="toolbar-button"
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          editRelationLabel(selectedRelationGeometry.relation.id)
+                        }}
+                      >
+                        <IconEdit />
+                        <span>Texte…</span>
+                      </button>
+                      <button
+                        type="button"
+                        className="toolbar-button"
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          deleteRelation(selectedRelationGeometry.relation.id)
+                        }}
+                      >
+                        <IconTrash />
+                        <span>Supprimer</span>
+                      </button>
+                    </div>
+                  </foreignObject>
+                </g>
+              )}
+
+              {marquee && (
+                <rect
+                  className="selection-marquee"
+                  x={Math.min(marquee.x1, marquee.x2)}
+                  y={Math.min(marquee.y1, marquee.y2)}
+                  width={Math.abs(marquee.x2 - marquee.x1)}
+                  height={Math.abs(marquee.y2 - marquee.y1)}
+                />
+              )}
             </g>
           </g>
         </svg>
 
+        {pendingReparent && (
+          <div className="canvas-hint" role="status">
+            Cliquez sur le nouveau parent de la sélection (Échap pour annuler).
+          </div>
+        )}
+
+        {pendingRelationSourceId && (
+          <div className="canvas-hint" role="status">
+            Cliquez sur le nœud à relier (Échap pour annuler).
+          </div>
+        )}
+
         <div className="canvas-overlay">
           <div className="overlay-panel">
             <div className="overlay-actions">
+              <button
+                type="button"
+                className="overlay-button"
+                onClick={undo}
+                disabled={!historyStatus.canUndo}
+                title="Annuler (Ctrl+Z)"
+                data-pan-stop="true"
+              >
+                Annuler
+              </button>
+              <button
+                type="button"
+                className="overlay-button"
+                onClick={redo}
+                disabled={!historyStatus.canRedo}
+                title="Rétablir (Ctrl+Maj+Z)"
+                data-pan-stop="true"
+              >
+                Rétablir
+              </button>
+              <button
+                type="button"
+                className={`overlay-button ${isLibraryOpen ? 'is-active' : ''}`}
+                onClick={toggleLibrary}
+                aria-expanded={isLibraryOpen}
+                data-pan-stop="true"
+              >
+                Mes cartes
+              </button>
+              <button
+                type="button"
+                className={`overlay-button ${isTagManagerOpen || isTagFiltering ? 'is-active' : ''}`}
+                onClick={toggleTagManager}
+                aria-expanded={isTagManagerOpen}
+                data-pan-stop="true"
+              >
+                Étiquettes
+              </button>
               <button type="button" className="overlay-button" onClick={handleSave} data-pan-stop="true">
                 Sauvegarder
               </button>
               <button type="button" className="overlay-button" onClick={handleLoadClick} data-pan-stop="true">
                 Charger
               </button>
-              <button type="button" className="overlay-button" onClick={handleExportPdf} data-pan-stop="true">
-                Exporter en pdf
-              </button>
+              <div className="overlay-menu" data-pan-stop="true">
+                <button
+                  type="button"
+                  className={`overlay-button ${isViewMenuOpen ? 'is-active' : ''}`}
+                  onClick={(event) => {
+                    event.stopPropagation()
+                    setIsExportMenuOpen(false)
+                    setIsViewMenuOpen((prev) => !prev)
+                  }}
+                  aria-haspopup="menu"
+                  aria-expanded={isViewMenuOpen}
+                >
+                  Affichage
+                </button>
+                {isViewMenuOpen && (
+                  <div className="overlay-menu-list" role="menu" onClick={() => setIsViewMenuOpen(false)}>
+                    <span className="overlay-menu-label">Disposition</span>
+                    {LAYOUT_ENGINES.map((engine) => (
+                      <button
+                        key={engine.value}
+                        type="button"
+                        className={`overlay-menu-item ${layoutEngine === engine.value ? 'is-active' : ''}`}
+                        role="menuitemradio"
+                        aria-checked={layoutEngine === engine.value}
+                        onClick={() => changeLayoutEngine(engine.value)}
+                      >
+                        {engine.label}
+                      </button>
+                    ))}
+                    <div className="overlay-menu-separator" role="separator" />
+                    <span className="overlay-menu-label">Liaisons</span>
+                    {CONNECTOR_STYLES.map((style) => (
+                      <button
+                        key={style.value}
+                        type="button"
+                        className={`overlay-menu-item ${connectorStyle === style.value ? 'is-active' : ''}`}
+                        role="menuitemradio"
+                        aria-checked={connectorStyle === style.value}
+                        onClick={() => changeConnectorStyle(style.value)}
+                      >
+                        {style.label}
+                      </button>
+                    ))}
+                    <div className="overlay-menu-separator" role="separator" />
+                    <button
+                      type="button"
+                      className={`overlay-menu-item ${isOpenTaskFilterActive ? 'is-active' : ''}`}
+                      role="menuitemcheckbox"
+                      aria-checked={isOpenTaskFilterActive}
+                      onClick={() => setIsOpenTaskFilterActive((prev) => !prev)}
+                    >
+                      Tâches ouvertes uniquement
+                    </button>
+                    <div className="overlay-menu-separator" role="separator" />
+                    <button
+                      type="button"
+                      className="overlay-menu-item"
+                      role="menuitem"
+                      onClick={() => collapseToLevel(null)}
+                    >
+                      Tout déplier
+                    </button>
+                    <button type="button" className="overlay-menu-item" role="menuitem" onClick={() => collapseToLevel(1)}>
+                      Tout replier
+                    </button>
+                    <button
+                      type="button"
+                      className="overlay-menu-item"
+                      role="menuitem"
+                      onClick={handleCollapseToLevelPrompt}
+                    >
+                      Replier au niveau…
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className="overlay-menu" data-pan-stop="true">
+                <button
+                  type="button"
+                  className={`overlay-button ${isExportMenuOpen ? 'is-active' : ''}`}
+                  onClick={(event) => {
+                    event.stopPropagation()
+                    setIsViewMenuOpen(false)
+                    setIsExportMenuOpen((prev) => !prev)
+                  }}
+                  aria-haspopup="menu"
+                  aria-expanded={isExportMenuOpen}
+                >
+                  Exporter
+                </button>
+                {isExportMenuOpen && (
+                  <div className="overlay-menu-list" role="menu" onClick={() => setIsExportMenuOpen(false)}>
+                    <button
+                      type="button"
+                      className="overlay-menu-item"
+                      role="menuitem"
+                      onClick={() => openExportDialog('pdf')}
+                    >
+                      Exporter en pdf…
+                    </button>
+                    <button type="button" className="overlay-menu-item" role="menuitem" onClick={handleExportSvg}>
+                      Exporter en SVG
+                    </button>
+                    <button
+                      type="button"
+                      className="overlay-menu-item"
+                      role="menuitem"
+                      onClick={() => openExportDialog('png')}
+                    >
+                      Exporter en PNG…
+                    </button>
+                    <button type="button" className="overlay-menu-item" role="menuitem" onClick={handleExportMarkdown}>
+                      Exporter en Markdown
+                    </button>
+                    <button type="button" className="overlay-menu-item" role="menuitem" onClick={handleExportOpml}>
+                      Exporter en OPML
+                    </button>
+                    <button type="button" className="overlay-menu-item" role="menuitem" onClick={handleExportFreeMind}>
+                      Exporter en FreeMind (.mm)
+                    </button>
+                  </div>
+                )}
+              </div>
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="application/json,.json"
+                accept="application/json,.json,text/markdown,.md,.markdown,text/x-opml,.opml,.mm"
                 onChange={handleFileChange}
                 style={{ display: 'none' }}
               />
             </div>
+            <div className="search-bar" data-pan-stop="true" role="search">
+              <input
+                ref={searchInputRef}
+                type="search"
+                className="search-input"
+                value={searchQuery}
+                placeholder="Rechercher un nœud…"
+                aria-label="Rechercher dans la carte"
+                onChange={handleSearchChange}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') {
+                    event.preventDefault()
+                    stepSearch(event.shiftKey ? -1 : 1)
+                  } else if (event.key === 'Escape') {
+                    event.preventDefault()
+                    setSearchQuery('')
+                    setSearchIndex(0)
+                    event.currentTarget.blur()
+                  }
+                }}
+              />
+              {isSearching && (
+                <>
+                  <span className="search-count" aria-live="polite">
+                    {searchMatchIds.length > 0
+                      ? `${Math.min(searchIndex, searchMatchIds.length - 1) + 1}/${searchMatchIds.length}`
+                      : 'Aucun résultat'}
+                  </span>
+                  <button
+                    type="button"
+                    className="search-step"
+                    onClick={() => stepSearch(-1)}
+                    disabled={searchMatchIds.length === 0}
+                    aria-label="Résultat précédent"
+                    title="Résultat précédent (Maj+Entrée)"
+                  >
+                    ‹
+                  </button>
+                  <button
+                    type="button"
+                    className="search-step"
+                    onClick={() => stepSearch(1)}
+                    disabled={searchMatchIds.length === 0}
+                    aria-label="Résultat suivant"
+                    title="Résultat suivant (Entrée)"
+                  >
+                    ›
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                className={`search-replace-button ${isReplaceDialogOpen ? 'is-active' : ''}`}
+                onClick={(event) => {
+                  event.stopPropagation()
+                  if (isReplaceDialogOpen) {
+                    closeReplaceDialog()
+                  } else {
+                    openReplaceDialog()
+                  }
+                }}
+                title="Rechercher et remplacer (Ctrl+H)"
+              >
+                Remplacer…
+              </button>
+            </div>
+            {(isTagFiltering || isOpenTaskFilterActive) && (
+              <div className="filter-bar" data-pan-stop="true">
+                <span className="filter-label">Filtre :</span>
+                {isOpenTaskFilterActive && (
+                  <button
+                    type="button"
+                    className="filter-chip"
+                    onClick={() => setIsOpenTaskFilterActive(false)}
+                    title="Retirer du filtre"
+                  >
+                    Tâches ouvertes ×
+                  </button>
+                )}
+                {tagFilter.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    className="filter-chip"
+                    style={{ background: getTagColor(tag, tagColors) }}
+                    onClick={() => toggleTagFilter(tag)}
+                    title="Retirer du filtre"
+                  >
+                    {tag} ×
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  className="search-replace-button"
+                  onClick={() => {
+                    setTagFilter([])
+                    setIsOpenTaskFilterActive(false)
+                  }}
+                >
+                  Effacer
+                </button>
+              </div>
+            )}
+            {isTagManagerOpen && (
+              <div
+                className="export-panel tag-manager"
+                data-pan-stop="true"
+                role="dialog"
+                aria-label="Étiquettes"
+                onClick={(event) => event.stopPropagation()}
+              >
+                <div className="library-header">
+                  <h2>Étiquettes</h2>
+                </div>
+                {tagSummaries.length === 0 ? (
+                  <p className="export-hint">
+                    Aucune étiquette pour l’instant. Ajoutez-en depuis la configuration d’un nœud.
+                  </p>
+                ) : (
+                  <>
+                    <p className="export-hint">
+                      Cochez des étiquettes pour estomper les autres nœuds. Renommez une étiquette avec le nom
+                      d’une autre pour les fusionner.
+                    </p>
+                    <ul className="tag-manager-list">
+                      {tagSummaries.map((tag) => {
+                        const tagColor = getTagColor(tag.name, tagColors)
+                        return (
+                          <li key={tag.name} className="tag-manager-item">
+                            <div className="tag-manager-row">
+                              <label className="export-choice">
+                                <input
+                                  type="checkbox"
+                                  checked={tagFilter.includes(tag.name)}
+                                  onChange={() => toggleTagFilter(tag.name)}
+                                />
+                                <span className="node-tag" style={{ background: tagColor }}>
+                                  {tag.name}
+                                </span>
+                              </label>
+                              <span className="tag-manager-count">
+                                {tag.count} nœud{tag.count > 1 ? 's' : ''}
+                              </span>
+                              <button
+                                type="button"
+                                className="library-item-action"
+                                onClick={() => renameTag(tag.name)}
+                              >
+                                Renommer…
+                              </button>
+                            </div>
+                            <div className="tag-manager-swatches" role="group" aria-label={`Couleur de ${tag.name}`}>
+                              {TAG_COLOR_PRESETS.map((color) => (
+                                <button
+                                  key={color}
+                                  type="button"
+                                  className={`toolbar-swatch ${color === tagColor ? 'is-active' : ''}`}
+                                  style={{ background: color }}
+                                  aria-label={`Appliquer la couleur ${color}`}
+                                  aria-pressed={color === tagColor}
+                                  onClick={() => changeTagColor(tag.name, color)}
+                                />
+                              ))}
+                            </div>
+                          </li>
+                        )
+                      })}
+                    </ul>
+                  </>
+                )}
+                <div className="export-actions">
+                  {isTagFiltering && (
+                    <button type="button" className="library-item-action" onClick={() => setTagFilter([])}>
+                      Effacer le filtre
+                    </button>
+                  )}
+                  <button type="button" className="library-create-button" onClick={toggleTagManager}>
+                    Fermer
+                  </button>
+                </div>
+              </div>
+            )}
+            {isReplaceDialogOpen && (
+              <div
+                className="export-panel replace-panel"
+                data-pan-stop="true"
+                role="dialog"
+                aria-label="Rechercher et remplacer"
+                onClick={(event) => event.stopPropagation()}
+              >
+                <div className="library-header">
+                  <h2>Rechercher et remplacer</h2>
+                </div>
+                <label className="export-field">
+                  <span className="export-field-label">Rechercher</span>
+                  <input
+                    type="text"
+                    className="export-select"
+                    value={replaceOptions.find}
+                    autoFocus
+                    onChange={(event) => setReplaceOptions((prev) => ({ ...prev, find: event.target.value }))}
+                  />
+                </label>
+                <label className="export-field">
+                  <span className="export-field-label">Remplacer par</span>
+                  <input
+                    type="text"
+                    className="export-select"
+                    value={replaceOptions.replacement}
+                    onChange={(event) =>
+                      setReplaceOptions((prev) => ({ ...prev, replacement: event.target.value }))
+                    }
+                  />
+                </label>
+                <div className="export-choices">
+                  <label className="export-choice">
+                    <input
+                      type="checkbox"
+                      checked={replaceOptions.matchCase}
+                      onChange={(event) =>
+                        setReplaceOptions((prev) => ({ ...prev, matchCase: event.target.checked }))
+                      }
+                    />
+                    <span>Respecter la casse</span>
+                  </label>
+                  <label className="export-choice">
+                    <input
+                      type="checkbox"
+                      checked={replaceOptions.wholeWord}
+                      onChange={(event) =>
+                        setReplaceOptions((prev) => ({ ...prev, wholeWord: event.target.checked }))
+                      }
+                    />
+                    <span>Mot entier</span>
+                  </label>
+                  <label className="export-choice">
+                    <input
+                      type="checkbox"
+                      checked={replaceOptions.useRegex}
+                      onChange={(event) =>
+                        setReplaceOptions((prev) => ({ ...prev, useRegex: event.target.checked }))
+                      }
+                    />
+                    <span>Expression régulière</span>
+                  </label>
+                </div>
+                <fieldset className="export-field">
+                  <legend>Portée</legend>
+                  <div className="export-choices">
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="replace-scope"
+                        checked={replaceOptions.scope === 'map'}
+                        onChange={() => setReplaceOptions((prev) => ({ ...prev, scope: 'map' }))}
+                      />
+                      <span>Toute la carte</span>
+                    </label>
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="replace-scope"
+                        checked={replaceOptions.scope === 'branch'}
+                        disabled={selectedBranchIds.size === 0}
+                        onChange={() => setReplaceOptions((prev) => ({ ...prev, scope: 'branch' }))}
+                      />
+                      <span>{isMultiSelection ? 'Branches sélectionnées' : 'Branche sélectionnée'}</span>
+                    </label>
+                  </div>
+                </fieldset>
+                {replacePreview.error ? (
+                  <p className="export-hint is-error">{replacePreview.error}</p>
+                ) : (
+                  <p className="export-hint">
+                    {replacePreview.changes.length === 0
+                      ? 'Aucun nœud concerné.'
+                      : `${replacePreview.changes.length} nœud${replacePreview.changes.length > 1 ? 's' : ''} concerné${replacePreview.changes.length > 1 ? 's' : ''}.`}
+                  </p>
+                )}
+                {replacePreview.changes.length > 0 && (
+                  <ul className="replace-preview">
+                    {replacePreview.changes.map((change) => (
+                      <li key={change.id} className="replace-preview-item">
+                        {change.nextLabel !== change.label && (
+                          <div className="replace-preview-row">
+                            <span className="replace-preview-before">{change.label || PLACEHOLDER_LABEL}</span>
+                            <span className="replace-preview-after">{change.nextLabel || PLACEHOLDER_LABEL}</span>
+                          </div>
+                        )}
+                        {change.nextLink !== change.externalLink && (
+                          <div className="replace-preview-row is-link">
+                            <span className="replace-preview-before">{change.externalLink}</span>
+                            <span className="replace-preview-after">{change.nextLink || '—'}</span>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="export-actions">
+                  <button type="button" className="library-item-action" onClick={closeReplaceDialog}>
+                    Annuler
+                  </button>
+                  <button
+                    type="button"
+                    className="library-create-button"
+                    onClick={applyReplacements}
+                    disabled={replacePreview.changes.length === 0}
+                  >
+                    Tout remplacer
+                  </button>
+                </div>
+              </div>
+            )}
+            {activeExportDialog === 'pdf' && (
+              <div
+                className="export-panel"
+                data-pan-stop="true"
+                role="dialog"
+                aria-label="Exporter en pdf"
+                onClick={(event) => event.stopPropagation()}
+              >
+                <div className="library-header">
+                  <h2>Exporter en pdf</h2>
+                </div>
+                <label className="export-field">
+                  <span className="export-field-label">Format du papier</span>
+                  <select
+                    className="export-select"
+                    value={pdfExportOptions.format}
+                    onChange={(event) => setPdfExportOptions((prev) => ({ ...prev, format: event.target.value }))}
+                  >
+                    {PDF_PAPER_FORMATS.map((paper) => (
+                      <option key={paper.value} value={paper.value}>
+                        {paper.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <fieldset className="export-field">
+                  <legend>Orientation</legend>
+                  <div className="export-choices">
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="pdf-orientation"
+                        checked={pdfExportOptions.orientation === 'landscape'}
+                        onChange={() => setPdfExportOptions((prev) => ({ ...prev, orientation: 'landscape' }))}
+                      />
+                      <span>Paysage</span>
+                    </label>
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="pdf-orientation"
+                        checked={pdfExportOptions.orientation === 'portrait'}
+                        onChange={() => setPdfExportOptions((prev) => ({ ...prev, orientation: 'portrait' }))}
+                      />
+                      <span>Portrait</span>
+                    </label>
+                  </div>
+                </fieldset>
+                <label className="export-field">
+                  <span className="export-field-label">Taille de police minimale</span>
+                  <select
+                    className="export-select"
+                    value={pdfExportOptions.minFontSize}
+                    onChange={(event) =>
+                      setPdfExportOptions((prev) => ({ ...prev, minFontSize: Number(event.target.value) }))
+                    }
+                  >
+                    {PDF_MIN_FONT_SIZES.map((size) => (
+                      <option key={size} value={size}>
+                        {size === 0 ? 'Ajuster sur une seule page' : `${size} pt`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <p className="export-hint">
+                  Si la carte dépasse la page à cette taille, elle est répartie sur plusieurs pages avec des
+                  repères de recouvrement.
+                </p>
+                <div className="export-actions">
+                  <button type="button" className="library-item-action" onClick={closeExportDialog}>
+                    Annuler
+                  </button>
+                  <button type="button" className="library-create-button" onClick={handleExportPdf}>
+                    Exporter
+                  </button>
+                </div>
+              </div>
+            )}
+            {activeExportDialog === 'png' && (
+              <div
+                className="export-panel"
+                data-pan-stop="true"
+                role="dialog"
+                aria-label="Exporter en PNG"
+                onClick={(event) => event.stopPropagation()}
+              >
+                <div className="library-header">
+                  <h2>Exporter en PNG</h2>
+                </div>
+                <fieldset className="export-field">
+                  <legend>Résolution</legend>
+                  <div className="export-choices">
+                    {PNG_EXPORT_SCALES.map((scale) => (
+                      <label key={scale} className="export-choice">
+                        <input
+                          type="radio"
+                          name="png-scale"
+                          checked={pngExportOptions.scale === scale}
+                          onChange={() => setPngExportOptions((prev) => ({ ...prev, scale }))}
+                        />
+                        <span>{scale}x</span>
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+                <fieldset className="export-field">
+                  <legend>Arrière-plan</legend>
+                  <div className="export-choices">
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="png-background"
+                        checked={pngExportOptions.background === 'gradient'}
+                        onChange={() => setPngExportOptions((prev) => ({ ...prev, background: 'gradient' }))}
+                      />
+                      <span>Dégradé</span>
+                    </label>
+                    <label className="export-choice">
+                      <input
+                        type="radio"
+                        name="png-background"
+                        checked={pngExportOptions.background === 'transparent'}
+                        onChange={() => setPngExportOptions((prev) => ({ ...prev, background: 'transparent' }))}
+                      />
+                      <span>Transparent</span>
+                    </label>
+                  </div>
+                </fieldset>
+                <label className="export-choice">
+                  <input
+                    type="checkbox"
+                    checked={pngExportOptions.selectionOnly}
+                    onChange={(event) =>
+                      setPngExportOptions((prev) => ({ ...prev, selectionOnly: event.target.checked }))
+                    }
+                  />
+                  <span>Branche sélectionnée uniquement</span>
+                </label>
+                <div className="export-actions">
+                  <button type="button" className="library-item-action" onClick={closeExportDialog}>
+                    Annuler
+                  </button>
+                  <button type="button" className="library-create-button" onClick={handleExportPng}>
+                    Exporter
+                  </button>
+                </div>
+              </div>
+            )}
+            {isLibraryOpen && (
+              <div
+                className="library-panel"
+                data-pan-stop="true"
+                onClick={(event) => event.stopPropagation()}
+              >
+                <div className="library-header">
+                  <h2>Mes cartes</h2>
+                  <button
+                    type="button"
+                    className="library-create-button"
+                    onClick={handleCreateMap}
+                    disabled={!isLibraryAvailable}
+                  >
+                    Nouvelle carte
+                  </button>
+                </div>
+                {!isLibraryAvailable ? (
+                  <p className="library-empty">
+                    La bibliothèque locale n’est pas disponible dans ce navigateur.
+                  </p>
+                ) : storedMaps.length === 0 ? (
+                  <p className="library-empty">Aucune carte enregistrée pour le moment.</p>
+                ) : (
+                  <ul className="library-list">
+                    {storedMaps.map((map) => (
+                      <li
+                        key={map.id}
+                        className={`library-item ${map.id === currentMapId ? 'is-current' : ''}`}
+                      >
+                        <button
+                          type="button"
+                          className="library-item-open"
+                          onClick={() => handleOpenMap(map.id)}
+                          aria-current={map.id === currentMapId ? 'true' : undefined}
+                        >
+                          <span className="library-item-name">{map.name}</span>
+                          <span className="library-item-meta">
+                            {map.nodeCount} idée{map.nodeCount > 1 ? 's' : ''} · {formatMapDate(map.updatedAt)}
+                          </span>
+                        </button>
+                        <div className="library-item-actions">
+                          <button type="button" className="library-item-action" onClick={() => handleRenameMap(map.id)}>
+                            Renommer
+                          </button>
+                          <button
+                            type="button"
+                            className="library-item-action"
+                            onClick={() => handleDuplicateMap(map.id)}
+                          >
+                            Dupliquer
+                          </button>
+                          <button
+                            type="button"
+                            className="library-item-action is-danger"
+                            onClick={() => handleDeleteMap(map.id)}
+                          >
+                            Supprimer
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
+      {isNotesDrawerOpen && selectedNode && (
+        <aside className="notes-drawer" aria-label="Notes du nœud">
+          <div className="notes-drawer-header">
+            <h2>{selectedNode.label.trim().length > 0 ? selectedNode.label : PLACEHOLDER_LABEL}</h2>
+            <button
+              type="button"
+              className="notes-drawer-close"
+              onClick={() => setIsNotesDrawerOpen(false)}
+              aria-label="Fermer les notes"
+            >
+              ×
+            </button>
+          </div>
+          <div className="notes-drawer-body">
+            {getNodeNotes(selectedNode).trim().length > 0 ? (
+              <MarkdownContent text={getNodeNotes(selectedNode)} />
+            ) : (
+              <p className="notes-drawer-empty">Ce nœud n’a pas encore de note.</p>
+            )}
+          </div>
+          <div className="export-actions">
+            <button type="button" className="library-create-button" onClick={openConfigPanel}>
+              Modifier la note
+            </button>
+          </div>
+        </aside>
+      )}
       {isConfigOpen && (
         <div className="config-modal-backdrop" role="presentation" onClick={closeConfigPanel}>
           <div